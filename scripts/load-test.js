@@ -0,0 +1,691 @@
+#!/usr/bin/env node
+// YemiGO Courier Socket - yük testi / kapasite ölçümü
+//
+// Simüle kuryeler şube ile teslimat noktası arasında gidip gelir ve konumlarını
+// courier:location ya da courier:location:batch ile gönderir; POS ve panel
+// aboneleri yayınları dinler. Sonunda uçtan uca gecikme yüzdelikleri, kayıp /
+// rate limit'e takılan güncellemeler ve Redis ops/s raporlanır.
+//
+// Sunucu yerel Redis ile, limitleri yüke göre yükseltilmiş çalıştırılmalı (tüm istemciler tek IP):
+//   MAX_CONNECTIONS_PER_IP=20000 MAX_COURIERS_PER_BRANCH=2000 ABUSE_CLIENT_BURST=100000 ABUSE_CLIENT_RATE=100000 \
+//   ABUSE_BAN_THRESHOLD=100000 AUTH_SECRET=dev npm start
+//   AUTH_SECRET=dev npm run loadtest -- --couriers 10000 --pos 200 --duration 120
+
+const crypto = require('crypto');
+const { parseArgs } = require('util');
+const { io: ioClient } = require('socket.io-client');
+const { createClient } = require('redis');
+
+// ==================== ARGÜMANLAR ====================
+
+const OPTIONS = {
+  url: { type: 'string', default: 'http://localhost:3000', help: 'Sunucu adres(ler)i, virgülle ayrılmış' },
+  'redis-url': { type: 'string', default: process.env.REDIS_URL || 'redis://localhost:6379', help: 'Ops/s ölçümü için Redis' },
+  secret: { type: 'string', default: process.env.AUTH_SECRET, help: 'JWT imza anahtarı (AUTH_SECRET)' },
+  couriers: { type: 'string', default: '100', help: 'Simüle kurye sayısı' },
+  branches: { type: 'string', default: '10', help: 'Şube sayısı' },
+  pos: { type: 'string', default: '10', help: 'POS abonesi sayısı (şubelere dağıtılır)' },
+  panels: { type: 'string', default: '1', help: 'Tüm şubeleri dinleyen panel sayısı' },
+  mode: { type: 'string', default: 'location', help: 'location | batch | mixed' },
+  interval: { type: 'string', default: '2000', help: 'Kurye başına gönderim aralığı (ms)' },
+  'batch-size': { type: 'string', default: '10', help: 'Batch başına nokta sayısı' },
+  duration: { type: 'string', default: '60', help: 'Gönderim süresi (sn)' },
+  'connect-rate': { type: 'string', default: '200', help: 'Saniyede açılan bağlantı' },
+  drain: { type: 'string', default: '3000', help: 'Gönderim bittikten sonra bekleme (ms)' },
+  'max-p99': { type: 'string', help: 'p99 gecikme eşiği (ms); aşılırsa çıkış kodu 1' },
+  'max-drop-rate': { type: 'string', help: 'Kayıp oranı eşiği (0-1); aşılırsa çıkış kodu 1' },
+  json: { type: 'boolean', default: false, help: 'Raporu JSON olarak yaz' },
+  help: { type: 'boolean', default: false, help: 'Bu yardımı göster' }
+};
+
+function parseOptions(argv) {
+  const { values } = parseArgs({ args: argv, options: OPTIONS, strict: true });
+  const int = (name, min) => {
+    const value = parseInt(values[name]);
+    if (!Number.isInteger(value) || value < min) {
+      throw new Error(`--${name} en az ${min} olmalı`);
+    }
+    return value;
+  };
+  const optionalNumber = (name) => {
+    if (values[name] === undefined) return null;
+    const value = Number(values[name]);
+    if (!Number.isFinite(value) || value < 0) throw new Error(`--${name} geçersiz`);
+    return value;
+  };
+
+  if (!['location', 'batch', 'mixed'].includes(values.mode)) {
+    throw new Error('--mode location, batch ya da mixed olmalı');
+  }
+  if (!values.help && !values.secret) {
+    throw new Error('AUTH_SECRET ya da --secret gerekli');
+  }
+
+  return {
+    urls: values.url.split(',').map(u => u.trim()).filter(Boolean),
+    redisUrl: values['redis-url'],
+    secret: values.secret,
+    couriers: int('couriers', 1),
+    branches: int('branches', 1),
+    pos: int('pos', 0),
+    panels: int('panels', 0),
+    mode: values.mode,
+    intervalMs: int('interval', 50),
+    batchSize: int('batch-size', 1),
+    durationMs: int('duration', 1) * 1000,
+    connectRate: int('connect-rate', 1),
+    drainMs: int('drain', 0),
+    maxP99Ms: optionalNumber('max-p99'),
+    maxDropRate: optionalNumber('max-drop-rate'),
+    json: values.json,
+    help: values.help
+  };
+}
+
+function printHelp() {
+  console.log('Kullanım: node scripts/load-test.js [seçenekler]\n');
+  for (const [name, spec] of Object.entries(OPTIONS)) {
+    const value = spec.type === 'boolean' ? '' : ' <değer>';
+    const fallback = spec.default !== undefined && spec.type !== 'boolean' && name !== 'secret' ? ` (varsayılan: ${spec.default})` : '';
+    console.log(`  --${(name + value).padEnd(24)} ${spec.help}${fallback}`);
+  }
+}
+
+// ==================== YARDIMCILAR ====================
+
+function signToken(secret, claims) {
+  const encode = obj => Buffer.from(JSON.stringify(obj)).toString('base64url');
+  const header = encode({ alg: 'HS256', typ: 'JWT' });
+  const now = Math.floor(Date.now() / 1000);
+  const payload = encode({ ...claims, iat: now, exp: now + 24 * 3600 });
+  const signature = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url');
+  return `${header}.${payload}.${signature}`;
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// 1 ms çözünürlüklü histogram; milyonlarca örnekte de sabit bellek
+class LatencyHistogram {
+  constructor(maxMs = 60000) {
+    this.counts = new Uint32Array(maxMs + 1);
+    this.count = 0;
+    this.sum = 0;
+    this.max = 0;
+  }
+
+  record(ms) {
+    const value = Math.max(0, Math.round(ms));
+    this.counts[Math.min(value, this.counts.length - 1)]++;
+    this.count++;
+    this.sum += value;
+    this.max = Math.max(this.max, value);
+  }
+
+  percentile(p) {
+    if (this.count === 0) return null;
+    const rank = Math.ceil(this.count * p);
+    let seen = 0;
+    for (let ms = 0; ms < this.counts.length; ms++) {
+      seen += this.counts[ms];
+      if (seen >= rank) return ms;
+    }
+    return this.max;
+  }
+
+  summary() {
+    return {
+      count: this.count,
+      avg: this.count ? Math.round(this.sum / this.count) : null,
+      p50: this.percentile(0.5),
+      p90: this.percentile(0.9),
+      p95: this.percentile(0.95),
+      p99: this.percentile(0.99),
+      max: this.count ? this.max : null
+    };
+  }
+}
+
+// ==================== ROTA SİMÜLASYONU ====================
+
+const ISTANBUL = { latitude: 41.0082, longitude: 28.9784 };
+const METERS_PER_DEG_LAT = 111320;
+
+function offsetPoint(origin, northM, eastM) {
+  return {
+    latitude: origin.latitude + northM / METERS_PER_DEG_LAT,
+    longitude: origin.longitude + eastM / (METERS_PER_DEG_LAT * Math.cos(origin.latitude * Math.PI / 180))
+  };
+}
+
+function randomBetween(min, max) {
+  return min + Math.random() * (max - min);
+}
+
+function bearing(from, to) {
+  const dLng = (to.longitude - from.longitude) * Math.cos(from.latitude * Math.PI / 180);
+  const degrees = Math.atan2(dLng, to.latitude - from.latitude) * 180 / Math.PI;
+  return (degrees + 360) % 360;
+}
+
+function distanceM(a, b) {
+  const dLat = (b.latitude - a.latitude) * METERS_PER_DEG_LAT;
+  const dLng = (b.longitude - a.longitude) * METERS_PER_DEG_LAT * Math.cos(a.latitude * Math.PI / 180);
+  return Math.hypot(dLat, dLng);
+}
+
+// Şube -> teslimat noktası -> şube; sokak ızgarası gibi önce kuzey-güney, sonra doğu-batı
+function createRoute(branchCenter) {
+  const destination = offsetPoint(branchCenter, randomBetween(-3000, 3000), randomBetween(-3000, 3000));
+  const corner = { latitude: destination.latitude, longitude: branchCenter.longitude };
+  return [branchCenter, corner, destination, corner, branchCenter];
+}
+
+class SimulatedCourier {
+  constructor(courierId, branchId, branchCenter) {
+    this.courierId = courierId;
+    this.branchId = branchId;
+    this.branchCenter = branchCenter;
+    this.route = createRoute(branchCenter);
+    this.leg = 0;
+    this.position = { ...branchCenter };
+    this.speed = randomBetween(4, 12); // m/s
+    this.heading = 0;
+    this.batteryLevel = Math.round(randomBetween(40, 100));
+    this.lastMoveAt = Date.now();
+  }
+
+  // Geçen süre kadar rota üzerinde ilerle
+  move(now) {
+    if (now <= this.lastMoveAt) return;
+    let remaining = this.speed * (now - this.lastMoveAt) / 1000;
+    this.lastMoveAt = now;
+
+    while (remaining > 0) {
+      const target = this.route[this.leg + 1];
+      if (!target) {
+        this.route = createRoute(this.branchCenter);
+        this.leg = 0;
+        this.speed = randomBetween(4, 12);
+        continue;
+      }
+
+      const distance = distanceM(this.position, target);
+      if (distance <= remaining) {
+        this.position = { ...target };
+        remaining -= distance;
+        this.leg++;
+        continue;
+      }
+
+      const ratio = remaining / distance;
+      this.heading = bearing(this.position, target);
+      this.position = {
+        latitude: this.position.latitude + (target.latitude - this.position.latitude) * ratio,
+        longitude: this.position.longitude + (target.longitude - this.position.longitude) * ratio
+      };
+      remaining = 0;
+    }
+
+    if (Math.random() < 0.01) this.batteryLevel = Math.max(5, this.batteryLevel - 1);
+  }
+
+  // GPS gürültüsü ~3 m
+  sample(timestamp) {
+    const noisy = offsetPoint(this.position, randomBetween(-3, 3), randomBetween(-3, 3));
+    return {
+      latitude: Number(noisy.latitude.toFixed(6)),
+      longitude: Number(noisy.longitude.toFixed(6)),
+      speed: Number((this.speed * randomBetween(0.9, 1.1)).toFixed(1)),
+      heading: Math.round(this.heading),
+      accuracy: Math.round(randomBetween(4, 20)),
+      batteryLevel: this.batteryLevel,
+      timestamp
+    };
+  }
+}
+
+// ==================== ÖLÇÜM ====================
+
+const stats = {
+  connect: { couriers: 0, subscribers: 0, errors: {} },
+  sent: { updates: 0, locationEvents: 0, batches: 0 },
+  rejected: 0,
+  rateLimited: {},   // sunucunun rate_limited event'leri, event adına göre
+  errors: {},
+  deliveries: { expected: 0, received: 0, duplicates: 0 },
+  latency: new LatencyHistogram()
+};
+
+// courierId:timestamp -> gönderilen güncelleme (timestamp kurye başına tekildir)
+const inflight = new Map();
+const subscribersByBranch = new Map();
+let panelCount = 0;
+
+function countError(bucket, message) {
+  bucket[message] = (bucket[message] || 0) + 1;
+}
+
+function subscribersOf(branchId) {
+  return (subscribersByBranch.get(branchId) || 0) + panelCount;
+}
+
+function trackSent(courier, timestamp, sentAt) {
+  inflight.set(`${courier.courierId}:${timestamp}`, {
+    sentAt,
+    branchId: courier.branchId,
+    received: 0,
+    rejected: false
+  });
+  stats.sent.updates++;
+}
+
+function trackReceived(courierId, timestamp, receivedAt) {
+  const entry = inflight.get(`${courierId}:${timestamp}`);
+  if (!entry) return;
+  entry.received++;
+  if (entry.received > subscribersOf(entry.branchId)) {
+    stats.deliveries.duplicates++;
+    return;
+  }
+  stats.latency.record(receivedAt - entry.sentAt);
+}
+
+function trackRejected(courierId, timestamp) {
+  const entry = inflight.get(`${courierId}:${timestamp}`);
+  if (entry && !entry.rejected) {
+    entry.rejected = true;
+    stats.rejected++;
+  }
+}
+
+// Sunucunun Prometheus sayaçları; instance'lar toplanır
+async function scrapeCounters(urls) {
+  const totals = { rateLimited: 0, locations: 0, available: true };
+  for (const url of urls) {
+    try {
+      const res = await fetch(`${url}/metrics/prometheus`);
+      const text = await res.text();
+      for (const line of text.split('\n')) {
+        const match = line.match(/^(courier_socket_rate_limited_total|courier_socket_locations_total)(?:\{[^}]*\})?\s+([\d.e+]+)/);
+        if (!match) continue;
+        const key = match[1] === 'courier_socket_rate_limited_total' ? 'rateLimited' : 'locations';
+        totals[key] += Number(match[2]);
+      }
+    } catch (error) {
+      totals.available = false;
+    }
+  }
+  return totals;
+}
+
+async function redisInfo(client) {
+  const info = await client.info('stats');
+  const read = field => Number((info.match(new RegExp(`${field}:(\\d+)`)) || [])[1] || 0);
+  return {
+    totalCommands: read('total_commands_processed'),
+    opsPerSec: read('instantaneous_ops_per_sec')
+  };
+}
+
+// ==================== İSTEMCİLER ====================
+
+function openSocket(url, claims, secret) {
+  return new Promise((resolve, reject) => {
+    const socket = ioClient(url, {
+      auth: { token: signToken(secret, claims) },
+      transports: ['websocket'],
+      forceNew: true,
+      reconnection: false,
+      timeout: 10000
+    });
+    socket.once('connect', () => resolve(socket));
+    socket.once('connect_error', (error) => {
+      socket.close();
+      reject(error);
+    });
+  });
+}
+
+async function startSubscriber(url, opts, { role, branchId }) {
+  const claims = role === 'pos'
+    ? { role: 'pos', branchIds: [branchId] }
+    : { role: 'panel', branchIds: '*' };
+  const socket = await openSocket(url, claims, opts.secret);
+
+  socket.on('courier:location:update', (data) => {
+    trackReceived(data.courierId, data.timestamp, Date.now());
+  });
+  socket.on('courier:location:batch', (data) => {
+    const now = Date.now();
+    for (const loc of data.locations) trackReceived(data.courierId, loc.timestamp, now);
+  });
+  socket.on('error', (data) => countError(stats.errors, `${role}: ${data && data.message}`));
+  socket.on('rate_limited', (data) => countError(stats.rateLimited, data.banned ? `${data.event} (ban)` : data.event));
+
+  if (role === 'pos') {
+    socket.emit('pos:connect', { branchId, posName: `loadtest-${socket.id}` });
+  } else {
+    for (let i = 0; i < opts.branches; i++) {
+      socket.emit('branch:subscribe', { branchId: `loadtest-${i}` });
+    }
+  }
+  return socket;
+}
+
+async function startCourier(url, opts, courier) {
+  const socket = await openSocket(url, {
+    role: 'courier',
+    courierId: courier.courierId,
+    branchIds: [courier.branchId]
+  }, opts.secret);
+
+  socket.on('courier:location:rejected', (data) => {
+    if (data.timestamp) trackRejected(courier.courierId, data.timestamp);
+    else stats.rejected++;
+  });
+  socket.on('courier:batch:ack', (ack) => {
+    for (const { index } of ack.rejected || []) {
+      const timestamp = socket.lastBatch && socket.lastBatch[index];
+      if (timestamp) trackRejected(courier.courierId, timestamp);
+    }
+  });
+  socket.on('error', (data) => countError(stats.errors, `courier: ${data && data.message}`));
+  socket.on('rate_limited', (data) => countError(stats.rateLimited, data.banned ? `${data.event} (ban)` : data.event));
+
+  const connected = new Promise((resolve, reject) => {
+    socket.once('courier:connected', resolve);
+    socket.once('disconnect', reason => reject(new Error(reason)));
+    setTimeout(() => reject(new Error('courier:connect timeout')), 10000);
+  });
+  socket.emit('courier:connect', {
+    courierId: courier.courierId,
+    branchId: courier.branchId,
+    name: `Yük Testi ${courier.courierId}`
+  });
+  await connected;
+  return socket;
+}
+
+// Tek konum ya da son interval'da toplanan noktalar
+function sendUpdate(socket, courier, opts, useBatch) {
+  const now = Date.now();
+
+  if (!useBatch) {
+    courier.move(now);
+    const point = courier.sample(now);
+    trackSent(courier, point.timestamp, now);
+    stats.sent.locationEvents++;
+    socket.emit('courier:location', { courierId: courier.courierId, ...point });
+    return;
+  }
+
+  const step = Math.max(1, Math.floor(opts.intervalMs / opts.batchSize));
+  const locations = [];
+  for (let i = opts.batchSize - 1; i >= 0; i--) {
+    courier.move(now - i * step);
+    const point = courier.sample(now - i * step);
+    trackSent(courier, point.timestamp, now);
+    locations.push(point);
+  }
+  socket.lastBatch = locations.map(loc => loc.timestamp);
+  stats.sent.batches++;
+  socket.emit('courier:location:batch', { courierId: courier.courierId, locations });
+}
+
+// ==================== ÇALIŞTIRMA ====================
+
+async function run(opts) {
+  const branchCenters = Array.from({ length: opts.branches }, () =>
+    offsetPoint(ISTANBUL, randomBetween(-15000, 15000), randomBetween(-15000, 15000)));
+  const sockets = [];
+  const timers = [];
+  const pickUrl = i => opts.urls[i % opts.urls.length];
+
+  let redis = null;
+  try {
+    // Ölçüm yardımcı; Redis yoksa test yine çalışır
+    redis = createClient({ url: opts.redisUrl, socket: { connectTimeout: 3000, reconnectStrategy: false } });
+    redis.on('error', () => {});
+    await redis.connect();
+  } catch (error) {
+    console.warn(`⚠️ Redis'e bağlanılamadı (${error.message}); ops/s ölçülmeyecek`);
+    redis = null;
+  }
+
+  const spacingMs = 1000 / opts.connectRate;
+
+  // Önce aboneler: ilk güncellemeler de sayılsın
+  log(`🖥️ ${opts.pos} POS, ${opts.panels} panel bağlanıyor...`);
+  for (let i = 0; i < opts.pos + opts.panels; i++) {
+    const role = i < opts.pos ? 'pos' : 'panel';
+    const branchId = `loadtest-${i % opts.branches}`;
+    try {
+      sockets.push(await startSubscriber(pickUrl(i), opts, { role, branchId }));
+      if (role === 'pos') subscribersByBranch.set(branchId, (subscribersByBranch.get(branchId) || 0) + 1);
+      else panelCount++;
+      stats.connect.subscribers++;
+    } catch (error) {
+      countError(stats.connect.errors, error.message);
+    }
+    await wait(spacingMs);
+  }
+  await wait(500);
+
+  const countersBefore = await scrapeCounters(opts.urls);
+  const redisBefore = redis ? await redisInfo(redis) : null;
+  const startedAt = Date.now();
+  let peakOps = 0;
+
+  log(`🚴 ${opts.couriers} kurye bağlanıyor (${opts.connectRate}/sn)...`);
+  const sendingUntil = Date.now() + opts.durationMs + opts.couriers * spacingMs;
+  const connecting = [];
+
+  for (let i = 0; i < opts.couriers; i++) {
+    const branchIndex = i % opts.branches;
+    const courier = new SimulatedCourier(`loadtest-c${i}`, `loadtest-${branchIndex}`, branchCenters[branchIndex]);
+    const useBatch = opts.mode === 'batch' || (opts.mode === 'mixed' && i % 2 === 1);
+
+    connecting.push(startCourier(pickUrl(i), opts, courier).then((socket) => {
+      sockets.push(socket);
+      stats.connect.couriers++;
+
+      // Rastgele faz: tüm kuryeler aynı anda göndermesin
+      const phase = setTimeout(() => {
+        const timer = setInterval(() => {
+          if (Date.now() >= sendingUntil) return clearInterval(timer);
+          if (socket.connected) sendUpdate(socket, courier, opts, useBatch);
+        }, opts.intervalMs);
+        timers.push(timer);
+      }, Math.random() * opts.intervalMs);
+      timers.push(phase);
+    }).catch((error) => {
+      countError(stats.connect.errors, error.message);
+    }));
+
+    await wait(spacingMs);
+  }
+  await Promise.all(connecting);
+  log(`✅ Bağlı: ${stats.connect.couriers} kurye, ${stats.connect.subscribers} abone`);
+
+  // Ara rapor
+  while (Date.now() < sendingUntil) {
+    await wait(Math.min(5000, Math.max(0, sendingUntil - Date.now())));
+    if (redis) peakOps = Math.max(peakOps, (await redisInfo(redis)).opsPerSec);
+    const p99 = stats.latency.percentile(0.99);
+    log(`📈 ${Math.round((Date.now() - startedAt) / 1000)}sn: ${stats.sent.updates} gönderildi, ${stats.latency.count} teslim, p99 ${p99 === null ? '-' : p99 + 'ms'}`);
+  }
+
+  log(`⏳ Bekleyen yayınlar için ${opts.drainMs}ms bekleniyor...`);
+  await wait(opts.drainMs);
+
+  const elapsedMs = Date.now() - startedAt;
+  const countersAfter = await scrapeCounters(opts.urls);
+  const redisAfter = redis ? await redisInfo(redis) : null;
+
+  timers.forEach(timer => clearTimeout(timer));
+  sockets.forEach(socket => socket.close());
+  if (redis) await redis.quit();
+
+  return buildReport(opts, {
+    elapsedMs,
+    counters: countersBefore.available && countersAfter.available
+      ? {
+          rateLimited: countersAfter.rateLimited - countersBefore.rateLimited,
+          accepted: countersAfter.locations - countersBefore.locations
+        }
+      : null,
+    redis: redisBefore && redisAfter
+      ? {
+          opsPerSec: Math.round((redisAfter.totalCommands - redisBefore.totalCommands) / (elapsedMs / 1000)),
+          peakOpsPerSec: peakOps
+        }
+      : null
+  });
+}
+
+function buildReport(opts, { elapsedMs, counters, redis }) {
+  // Hiçbir aboneye ulaşmayan (yayınlanmamış) ve kısmen ulaşan güncellemeler ayrı sayılır
+  let notBroadcast = 0;
+  let partial = 0;
+  let missedDeliveries = 0;
+  let measured = 0;
+
+  for (const entry of inflight.values()) {
+    const subscribers = subscribersOf(entry.branchId);
+    if (subscribers === 0 || entry.rejected) continue;
+    measured++;
+    stats.deliveries.expected += subscribers;
+    stats.deliveries.received += Math.min(entry.received, subscribers);
+    if (entry.received === 0) {
+      notBroadcast++;
+    } else if (entry.received < subscribers) {
+      partial++;
+      missedDeliveries += subscribers - entry.received;
+    }
+  }
+
+  const rateLimited = counters ? counters.rateLimited : null;
+  const dropped = Math.max(0, notBroadcast - (rateLimited || 0));
+  // Rate limit ve filtre reddi kayıp sayılmaz
+  const dropRate = measured > 0 ? (dropped + partial) / measured : 0;
+
+  return {
+    config: {
+      urls: opts.urls,
+      couriers: opts.couriers,
+      branches: opts.branches,
+      pos: opts.pos,
+      panels: opts.panels,
+      mode: opts.mode,
+      intervalMs: opts.intervalMs,
+      batchSize: opts.mode === 'location' ? null : opts.batchSize,
+      durationMs: opts.durationMs
+    },
+    connections: stats.connect,
+    elapsedSec: Math.round(elapsedMs / 100) / 10,
+    sent: {
+      ...stats.sent,
+      updatesPerSec: Math.round(stats.sent.updates / (elapsedMs / 1000))
+    },
+    server: counters,
+    updates: {
+      measured,
+      rejected: stats.rejected,
+      rateLimited,
+      notBroadcast,
+      dropped,
+      partial,
+      dropRate: Number(dropRate.toFixed(4))
+    },
+    deliveries: {
+      ...stats.deliveries,
+      missed: missedDeliveries,
+      perSec: Math.round(stats.deliveries.received / (elapsedMs / 1000))
+    },
+    latencyMs: stats.latency.summary(),
+    redis,
+    rateLimitedEvents: stats.rateLimited,
+    errors: stats.errors
+  };
+}
+
+function printReport(report) {
+  const { sent, updates, deliveries, latencyMs: l, redis, server } = report;
+  console.log('');
+  console.log('╔══════════════════════════════════════════════════╗');
+  console.log('║  YemiGO Yük Testi Raporu                         ║');
+  console.log('╚══════════════════════════════════════════════════╝');
+  console.log(`Süre:              ${report.elapsedSec} sn`);
+  console.log(`Bağlantı:          ${report.connections.couriers}/${report.config.couriers} kurye, ${report.connections.subscribers}/${report.config.pos + report.config.panels} abone`);
+  for (const [message, count] of Object.entries(report.connections.errors)) {
+    console.log(`  ❌ ${message}: ${count}`);
+  }
+  console.log(`Gönderilen:        ${sent.updates} konum (${sent.updatesPerSec}/sn; ${sent.locationEvents} tekil, ${sent.batches} batch)`);
+  if (server) console.log(`Sunucu kabul:      ${server.accepted} konum`);
+  console.log(`Reddedilen:        ${updates.rejected}`);
+  console.log(`Rate limit:        ${updates.rateLimited === null ? 'ölçülemedi (/metrics/prometheus)' : updates.rateLimited}`);
+  for (const [event, count] of Object.entries(report.rateLimitedEvents)) {
+    console.log(`  🚦 rate_limited ${event}: ${count}`);
+  }
+  console.log(`Kayıp:             ${updates.dropped} yayınlanmadı, ${updates.partial} kısmi (${deliveries.missed} eksik teslimat), oran ${(updates.dropRate * 100).toFixed(2)}%`);
+  console.log(`Teslimat:          ${deliveries.received}/${deliveries.expected} (${deliveries.perSec}/sn, ${deliveries.duplicates} mükerrer)`);
+  console.log(`Gecikme (ms):      ort ${l.avg ?? '-'}  p50 ${l.p50 ?? '-'}  p90 ${l.p90 ?? '-'}  p95 ${l.p95 ?? '-'}  p99 ${l.p99 ?? '-'}  maks ${l.max ?? '-'}`);
+  console.log(`Redis:             ${redis ? `${redis.opsPerSec} ops/sn ortalama, ${redis.peakOpsPerSec} tepe` : 'ölçülemedi'}`);
+  for (const [message, count] of Object.entries(report.errors)) {
+    console.log(`  ⚠️ ${message}: ${count}`);
+  }
+  console.log('');
+}
+
+// Eşik aşımları; boşsa başarılı
+function checkThresholds(report, opts) {
+  const failures = [];
+  if (opts.maxP99Ms !== null && (report.latencyMs.p99 === null || report.latencyMs.p99 > opts.maxP99Ms)) {
+    failures.push(`p99 ${report.latencyMs.p99}ms > ${opts.maxP99Ms}ms`);
+  }
+  if (opts.maxDropRate !== null && report.updates.dropRate > opts.maxDropRate) {
+    failures.push(`kayıp oranı ${report.updates.dropRate} > ${opts.maxDropRate}`);
+  }
+  if (report.connections.couriers < report.config.couriers) {
+    failures.push(`${report.config.couriers - report.connections.couriers} kurye bağlanamadı`);
+  }
+  return failures;
+}
+
+let quiet = false;
+function log(message) {
+  if (!quiet) console.log(message);
+}
+
+async function main() {
+  let opts;
+  try {
+    opts = parseOptions(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    printHelp();
+    process.exit(2);
+  }
+  if (opts.help) {
+    printHelp();
+    return;
+  }
+
+  quiet = opts.json;
+  const report = await run(opts);
+  const failures = checkThresholds(report, opts);
+
+  if (opts.json) {
+    console.log(JSON.stringify({ ...report, failures }, null, 2));
+  } else {
+    printReport(report);
+    failures.forEach(failure => console.log(`❌ ${failure}`));
+  }
+
+  process.exit(failures.length > 0 ? 1 : 0);
+}
+
+main().catch((error) => {
+  console.error('❌ Yük testi hatası:', error);
+  process.exit(2);
+});
@@ -2,696 +2,5506 @@ const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
 const { createAdapter } = require('@socket.io/redis-adapter');
-const { createClient } = require('redis');
+const { createClient, GeoReplyWith } = require('redis');
 const cors = require('cors');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const promClient = require('prom-client');
+const proxyaddr = require('proxy-addr');
+const YAML = require('yaml');
 
-const app = express();
-const server = http.createServer(app);
+const gzip = promisify(zlib.gzip);
 
 // ==================== CONFIGURATION ====================
 
+// Varsayılanlar; her createServer() bunun bir kopyasına config katmanlarını uygular
 const CONFIG = {
   // Redis
   REDIS_URL: process.env.REDIS_URL || 'redis://localhost:6379',
 
+  // CORS ('*' = tüm origin'ler)
+  CORS_ORIGINS: ['*'],
+
+  // X-Forwarded-For yalnız bu adreslerden gelince okunur (IP, CIDR veya 'loopback' gibi
+  // proxy-addr adları); boşsa istemci adresi doğrudan bağlantıdan alınır
+  TRUST_PROXY: [],
+
+  // Auth (HS256 JWT imza anahtarı)
+  AUTH_SECRET: process.env.AUTH_SECRET,
+  AUTH_CLOCK_TOLERANCE_SEC: 30,
+
+  // Loglama (LOG_LEVEL: debug | info | warn | error | silent, LOG_FORMAT: json | pretty)
+  LOG: {
+    LEVEL: 'info',
+    FORMAT: 'json'
+  },
+
   // Rate limiting
   MAX_LOCATIONS_PER_MINUTE: 30,
   MAX_CONNECTIONS_PER_IP: 20,
 
+  // Kötüye kullanım koruması (token bucket): capacity = anlık patlama, refillPerSec = sürekli hız
+  ABUSE: {
+    ENABLED: process.env.ABUSE_PROTECTION !== 'off',
+    // Socket + event başına; listede olmayan event'ler default kovayı paylaşır.
+    // courier:location burada yok: onu MAX_LOCATIONS_PER_MINUTE (checkRateLimit) sınırlar,
+    // istemci kovasına yine sayılır
+    EVENTS: {
+      default: { capacity: 20, refillPerSec: 5 },
+      'courier:location:batch': { capacity: 5, refillPerSec: 0.5 },
+      'pos:connect': { capacity: 3, refillPerSec: 0.05 },
+      'branch:subscribe': { capacity: 50, refillPerSec: 1 },
+      'branch:viewport': { capacity: 10, refillPerSec: 4 },
+      ping: { capacity: 5, refillPerSec: 0.5 }
+    },
+    // İstemci = token kimliği (kurye, takip edilen sipariş veya sub); kimliksiz istemci IP'dir.
+    // Aynı carrier-NAT IP'sini paylaşan kuryeler birbirinin kovasını ve banını etkilemez.
+    SOCKET_CLIENT: { capacity: 500, refillPerSec: 100 }, // İstemcinin tüm socket event'leri toplamı
+    HTTP: { capacity: 60, refillPerSec: 10 },            // İstemci + rol başına REST
+    HTTP_EXEMPT: ['/', '/health', '/metrics', '/metrics/prometheus'],
+    ROLE_MULTIPLIERS: { anonymous: 0.5, courier: 1, tracking: 1, pos: 2, panel: 5, admin: 10 },
+    BAN_THRESHOLD: 50,     // BAN_WINDOW_SEC içinde bu kadar ihlal = geçici ban
+    BAN_WINDOW_SEC: 60,
+    BAN_DURATION_SEC: 600
+  },
+
   // Timeouts
   COURIER_TIMEOUT_MS: 60000,
   CLEANUP_INTERVAL_MS: 30000,
+  UPDATE_REQUIRED_DISCONNECT_MS: 2000, // update_required onaylanmazsa bu süre sonunda koparılır
+  COURIER_KEEPALIVE_MS: 30000, // Bağlı kuryenin kaydı konum gelmese de bu aralıkla yenilenir (< TTL.COURIER)
 
   // Limits
   MAX_BATCH_SIZE: 50,
   MAX_COURIERS_PER_BRANCH: 500,
+  MAX_HISTORY_POINTS: 5000,
+  DEFAULT_PAGE_SIZE: 500,
+  MAX_MESSAGE_LENGTH: 1000,
+  MAX_PAGE_SIZE: 1000,
+  MAX_AUDIT_ENTRIES: 10000,
+
+  // Müşteri canlı takip
+  TRACKING: {
+    DELAY_MS: 10000,
+    PRECISION: 4,                 // Ondalık basamak (~11m)
+    SHARE_TOKEN_TTL_SEC: 3 * 3600
+  },
+
+  // Konum doğrulama / filtreleme
+  LOCATION_FILTER: {
+    PIPELINE: ['accuracy', 'maxSpeed', 'smoothing'],
+    MAX_ACCURACY_M: 100,          // Bundan kötü doğruluk reddedilir
+    MAX_SPEED_MPS: 55,            // ~200 km/s üstü sıçrama = spoof/gürültü
+    MAX_CLOCK_SKEW_MS: 5 * 60 * 1000,
+    SMOOTHING_ALPHA: 0.6,         // EMA; 1 = yumuşatma yok
+    SMOOTHING_MAX_GAP_MS: 30000   // Uzun aradan sonra yumuşatma sıfırlanır
+  },
+
+  // Günlük kurye/şube istatistikleri
+  STATS: {
+    TIMEZONE: 'Europe/Istanbul',
+    MAX_GAP_MS: 5 * 60 * 1000,   // Daha uzun boşluk mesafe/hareket süresine sayılmaz
+    IDLE_SPEED_MPS: 0.5          // Altı = bekliyor
+  },
+
+  // ETA hesaplama
+  ETA: {
+    SAMPLE_SIZE: 20,        // Hız yumuşatma için son N konum
+    SMOOTHING_ALPHA: 0.3,   // EMA katsayısı
+    MIN_SPEED_MPS: 2.5,     // Dururken sonsuz ETA olmasın (~9 km/s)
+    ROUTE_FACTOR: 1.3,      // Kuş uçuşu -> yol mesafesi
+    MIN_SAMPLE_GAP_MS: 1000, // Daha yakın iki noktadan hız türetilmez
+    TARGET_CACHE_MS: 10000  // Konum başına sipariş okumamak için hedef önbelleği
+  },
+
+  // Dış sisteme webhook teslimatı
+  WEBHOOKS: {
+    TIMEOUT_MS: 5000,
+    MAX_ATTEMPTS: 6,              // Sonra dead-letter listesine
+    BACKOFF_BASE_MS: 5000,        // 5s, 10s, 20s...
+    BACKOFF_MAX_MS: 10 * 60 * 1000,
+    PROCESSING_TIMEOUT_MS: 30000, // Teslimat sırasında çöken instance'ın işi geri döner
+    POLL_INTERVAL_MS: 1000,
+    BATCH_SIZE: 20,
+    DEAD_LETTER_LIMIT: 1000
+  },
+
+  // Şube alarmları (kurallar şube başına değiştirilebilir)
+  ALERTS: {
+    EVALUATION_INTERVAL_MS: 30000,
+    IDLE_RADIUS_M: 50,            // Bu yarıçapta kalan kurye hareketsiz sayılır
+    DEFAULT_RULES: {
+      lowBattery: { enabled: true, thresholdPercent: 15 }, // courier.low_battery webhook'u da bu eşiği kullanır
+      staleGps: { enabled: true, afterSeconds: 180 },
+      inactivity: { enabled: true, afterMinutes: 20 }
+    }
+  },
+
+  // Kalıcı konum/olay arşivi (ARCHIVE_SINK tanımsızsa kapalı).
+  // Flush'ı kilidi alan instance yapar: birden fazla instance varsa DIR / SQLITE_PATH
+  // tüm instance'ların bağladığı ortak bir diskte olmalı, yoksa arşiv host'lara dağılır.
+  ARCHIVE: {
+    SINK: null,               // 'ndjson' | 'sqlite'
+    DIR: './archive',
+    ROTATION: 'daily',        // 'daily' | 'hourly'
+    SQLITE_PATH: './archive.db',
+    FLUSH_INTERVAL_MS: 5000,
+    BATCH_SIZE: 1000,
+    MAX_BATCHES_PER_FLUSH: 20,
+    LOCK_TTL_MS: 60000,
+    RETENTION_DAYS: 90,
+    RETENTION_INTERVAL_MS: 3600000
+  },
+
+  // Throttle'lı şube akışı (frame aralığı, abone başına)
+  FEED: {
+    DEFAULT_INTERVAL_MS: 1000,
+    MIN_INTERVAL_MS: 250,
+    MAX_INTERVAL_MS: 10000
+  },
+
+  // Planlı kapanış (SIGTERM/SIGINT): önce bağlantılar başka instance'lara aktarılır
+  SHUTDOWN: {
+    DRAIN_TIMEOUT_MS: 30000,      // Süre dolunca kalan socket'ler koparılır
+    RECONNECT_JITTER_MS: 10000    // İstemciler bu aralığa yayılarak yeniden bağlanır
+  },
 
   // Redis key prefixes
   KEYS: {
     COURIER: 'courier:',
+    ACTIVE_COURIERS: 'couriers:active',   // sorted set, skor = son görülme (ms)
+    COURIER_BRANCH: 'couriers:branch',    // hash, courierId -> branchId (temizlik için)
     BRANCH: 'branch:',
+    BRANCH_GEO: 'geo:branch:',          // GEO index, şube başına
+    LOCK: 'lock:',
     LOCATION_HISTORY: 'history:',
+    TRAIL: 'trail:',
+    GEOFENCES: 'geofences:',
+    GEOFENCE_STATE: 'geozone:',
+    ORDER: 'order:',
+    COURIER_ORDERS: 'assignments:',
+    STATS: 'stats:',
+    MESSAGE: 'message:',
+    INBOX: 'inbox:',
+    BRANCH_INBOX: 'branch-inbox:', // Şubeye gönderilen mesajlar (zset, skor: createdAt)
+    ALERT_RULES: 'alertrules:',
+    ALERTS: 'alerts:',                           // hash, şube başına: alertId -> alarm
+    WEBHOOKS: 'webhooks',                        // hash, webhookId -> abonelik
+    WEBHOOK_JOBS: 'webhooks:jobs',               // hash, jobId -> teslimat işi
+    WEBHOOK_QUEUE: 'webhooks:queue',             // sorted set, skor = sıradaki deneme (ms)
+    WEBHOOK_PROCESSING: 'webhooks:processing',   // sorted set, skor = sahiplik bitişi (ms)
+    WEBHOOK_DEAD: 'webhooks:dead',               // list, başarısız teslimatlar
+    APP_VERSIONS: 'appversions',                 // hash, platform -> sürüm politikası
+    AUDIT_LOG: 'audit:log',                      // list, en yeni başta
+    CONNECTIONS: 'connections:ip:',             // sorted set, IP başına socketId -> kira bitişi (ms)
+    ARCHIVE_BUFFER: 'archive:buffer',            // list, sink'e yazılmayı bekleyen kayıtlar
+    RUNTIME_CONFIG: 'config:runtime',            // admin API ile yazılan config katmanı
+    CONFIG_CHANNEL: 'config:reload',             // pub/sub kanalı
+    FEED: 'feed:',                               // pub/sub kanalı, şube başına
     RATE_LIMIT: 'ratelimit:',
+    RATE_BUCKET: 'ratebucket:',                  // hash, token bucket durumu (tokens, ts)
+    ABUSE_STRIKES: 'abuse:strikes:',             // istemci başına ihlal sayacı
+    BANS: 'abuse:ban:',                          // istemci başına geçici ban (TTL = süre)
     METRICS: 'metrics'
   },
 
   // TTL (Time To Live)
   TTL: {
-    COURIER: 120,        // 2 dakika
+    COURIER: 120,        // 2 dakika; bağlı kuryeler yenilenir, yalnız kopan/çöken instance'ın kaydı düşer
     LOCATION_HISTORY: 300, // 5 dakika
-    RATE_LIMIT: 60       // 1 dakika
+    TRAIL_HOURS: 72,     // 3 gün
+    GEOFENCE_STATE: 3600, // 1 saat
+    ORDER: 86400,        // 1 gün
+    MESSAGE: 7 * 86400,  // 1 hafta
+    ALERTS: 86400,       // 1 gün
+    STATS_DAYS: 35,
+    RATE_LIMIT: 60,      // 1 dakika
+    CONNECTIONS: 90      // Bağlantı kirası; instance'lar yeniler, çökenin kiraları bu sürede düşer
   }
 };
 
-// ==================== REDIS SETUP ====================
-
-const redisUrl = CONFIG.REDIS_URL;
-console.log('🔴 Redis URL:', redisUrl.replace(/:[^:@]+@/, ':***@')); // Şifreyi gizle
-
-// Pub/Sub için iki ayrı client
-const pubClient = createClient({ url: redisUrl });
-const subClient = pubClient.duplicate();
+// ==================== LOGGER ====================
 
-// Genel Redis client
-const redis = createClient({ url: redisUrl });
+// Satır başına bir JSON nesnesi: { time, level, msg, instanceId, ...alanlar }.
+// Alarm kurulabilecek satırlar sabit bir "type" taşır: redis_error, handler_error,
+// job_error, rate_limited, client_banned, webhook_failed, config_error, pubsub_error,
+// startup_error, shutdown_error
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
 
-// ==================== SOCKET.IO SETUP ====================
+function serializeError(error) {
+  return { name: error.name, message: error.message, code: error.code, stack: error.stack };
+}
 
-const io = new Server(server, {
-  cors: {
-    origin: "*",
-    methods: ["GET", "POST"]
-  },
-  transports: ['websocket', 'polling'],
-  pingTimeout: 60000,
-  pingInterval: 25000,
-  maxHttpBufferSize: 1e6,
-  // Cluster için önemli
-  connectionStateRecovery: {
-    maxDisconnectionDuration: 2 * 60 * 1000,
-    skipMiddlewares: true,
-  }
-});
-
-app.use(cors());
-app.use(express.json());
-
-// ==================== LOCAL METRICS (instance başına) ====================
-
-const localMetrics = {
-  connections: 0,
-  disconnections: 0,
-  locationsReceived: 0,
-  batchesReceived: 0,
-  startTime: Date.now(),
-  instanceId: Math.random().toString(36).substr(2, 9)
-};
+// LOG_FORMAT=pretty: geliştirirken okunur tek satır
+function formatPretty({ time, level, msg, ...fields }) {
+  const rest = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+    .join(' ');
+  return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${rest ? ' ' + rest : ''}`;
+}
 
-// ==================== REDIS HELPER FUNCTIONS ====================
+// bindings her satıra eklenir; child() ile socket/istek bağlamı eklenir.
+// Seviye ve format her satırda config'ten okunur (instance'ın config'i yenilenebilir)
+function createLogger(bindings = {}, config = CONFIG) {
+  const write = (level, msg, fields = {}) => {
+    if (LOG_LEVELS[level] < (LOG_LEVELS[config.LOG.LEVEL] ?? LOG_LEVELS.info)) return;
 
-async function setCourier(courierId, data) {
-  const key = CONFIG.KEYS.COURIER + courierId;
-  await redis.hSet(key, {
-    ...data,
-    location: JSON.stringify(data.location || null),
-    lastUpdate: new Date().toISOString()
-  });
-  await redis.expire(key, CONFIG.TTL.COURIER);
-}
+    const entry = { time: new Date().toISOString(), level, msg, ...bindings };
+    for (const [key, value] of Object.entries(fields)) {
+      if (value === undefined) continue;
+      entry[key] = value instanceof Error ? serializeError(value) : value;
+    }
 
-async function getCourier(courierId) {
-  const key = CONFIG.KEYS.COURIER + courierId;
-  const data = await redis.hGetAll(key);
-  if (!data || Object.keys(data).length === 0) return null;
+    const line = config.LOG.FORMAT === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+    (LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+  };
 
   return {
-    ...data,
-    location: data.location ? JSON.parse(data.location) : null,
-    batteryLevel: parseInt(data.batteryLevel) || 100
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+    child: (fields) => createLogger({ ...bindings, ...fields }, config)
   };
 }
 
-async function deleteCourier(courierId) {
-  await redis.del(CONFIG.KEYS.COURIER + courierId);
-}
+const logger = createLogger();
 
-async function addCourierToBranch(branchId, courierId) {
-  await redis.sAdd(CONFIG.KEYS.BRANCH + branchId, courierId);
-}
+// ==================== CONFIG LOADER ====================
 
-async function removeCourierFromBranch(branchId, courierId) {
-  await redis.sRem(CONFIG.KEYS.BRANCH + branchId, courierId);
-}
+// Katmanlar, sonraki öncekini ezer: varsayılanlar < CONFIG_FILE (JSON/YAML) <
+// ortam değişkenleri < Redis'teki çalışma zamanı ayarları (admin API).
+// Şube ayarları ("branches") dosya ve çalışma zamanı katmanlarından gelir.
+
+const DEFAULT_CONFIG = structuredClone(CONFIG);
 
-async function getBranchCouriers(branchId) {
-  return await redis.sMembers(CONFIG.KEYS.BRANCH + branchId);
+// env: ortam değişkeni, branch: şube bazında ezilebilir, restart: ancak yeniden başlatınca uygulanır,
+// values: enum / list için izin verilen değerler, nullable: boş değer (null) kapalı demektir
+const CONFIG_SCHEMA = {
+  MAX_LOCATIONS_PER_MINUTE: { type: 'int', min: 1, max: 600, env: 'MAX_LOCATIONS_PER_MINUTE', branch: true },
+  MAX_CONNECTIONS_PER_IP: { type: 'int', min: 1, max: 100000, env: 'MAX_CONNECTIONS_PER_IP' },
+  COURIER_TIMEOUT_MS: { type: 'int', min: 1000, max: 3600000, env: 'COURIER_TIMEOUT_MS' },
+  CLEANUP_INTERVAL_MS: { type: 'int', min: 5000, max: 3600000, env: 'CLEANUP_INTERVAL_MS', restart: true },
+  MAX_BATCH_SIZE: { type: 'int', min: 1, max: 1000, env: 'MAX_BATCH_SIZE', branch: true },
+  MAX_COURIERS_PER_BRANCH: { type: 'int', min: 1, max: 100000, env: 'MAX_COURIERS_PER_BRANCH', branch: true },
+  MAX_HISTORY_POINTS: { type: 'int', min: 1, max: 100000 },
+  DEFAULT_PAGE_SIZE: { type: 'int', min: 1, max: 10000 },
+  MAX_PAGE_SIZE: { type: 'int', min: 1, max: 10000 },
+  MAX_MESSAGE_LENGTH: { type: 'int', min: 1, max: 10000 },
+  CORS_ORIGINS: { type: 'list', env: 'CORS_ORIGINS', restart: true },
+  TRUST_PROXY: { type: 'list', env: 'TRUST_PROXY', restart: true },
+  'LOG.LEVEL': { type: 'enum', values: ['debug', 'info', 'warn', 'error', 'silent'], env: 'LOG_LEVEL' },
+  'LOG.FORMAT': { type: 'enum', values: ['json', 'pretty'], env: 'LOG_FORMAT' },
+  'LOCATION_FILTER.MAX_ACCURACY_M': { type: 'number', min: 1, max: 10000 },
+  'LOCATION_FILTER.MAX_SPEED_MPS': { type: 'number', min: 1, max: 1000 },
+  'ABUSE.SOCKET_CLIENT.capacity': { type: 'int', min: 1, max: 1000000, env: 'ABUSE_CLIENT_BURST' },
+  'ABUSE.SOCKET_CLIENT.refillPerSec': { type: 'number', min: 0.01, max: 1000000, env: 'ABUSE_CLIENT_RATE' },
+  'ABUSE.HTTP.capacity': { type: 'int', min: 1, max: 1000000 },
+  'ABUSE.HTTP.refillPerSec': { type: 'number', min: 0.01, max: 1000000 },
+  'ABUSE.BAN_THRESHOLD': { type: 'int', min: 1, max: 100000, env: 'ABUSE_BAN_THRESHOLD' },
+  'ABUSE.BAN_WINDOW_SEC': { type: 'int', min: 1, max: 86400 },
+  'ABUSE.BAN_DURATION_SEC': { type: 'int', min: 1, max: 7 * 86400, env: 'ABUSE_BAN_SEC' },
+  'SHUTDOWN.DRAIN_TIMEOUT_MS': { type: 'int', min: 0, max: 600000, env: 'DRAIN_TIMEOUT_MS' },
+  'SHUTDOWN.RECONNECT_JITTER_MS': { type: 'int', min: 0, max: 600000, env: 'RECONNECT_JITTER_MS' },
+  'TTL.COURIER': { type: 'int', min: 10, max: 86400, env: 'COURIER_TTL_SEC' },
+  'TTL.LOCATION_HISTORY': { type: 'int', min: 10, max: 86400 },
+  'TTL.RATE_LIMIT': { type: 'int', min: 1, max: 3600 },
+  'TTL.ORDER': { type: 'int', min: 60, max: 30 * 86400 },
+  'TTL.MESSAGE': { type: 'int', min: 60, max: 90 * 86400 },
+  'TTL.TRAIL_HOURS': { type: 'int', min: 1, max: 365 * 24, env: 'TRAIL_RETENTION_HOURS' },
+  'TTL.STATS_DAYS': { type: 'int', min: 1, max: 3650, env: 'STATS_RETENTION_DAYS' },
+  'TRACKING.DELAY_MS': { type: 'int', min: 0, max: 600000, env: 'TRACKING_DELAY_MS' },
+  'LOCATION_FILTER.PIPELINE': { type: 'list', values: ['accuracy', 'maxSpeed', 'smoothing'], env: 'LOCATION_FILTERS' },
+  'STATS.TIMEZONE': { type: 'string', env: 'STATS_TIMEZONE', restart: true },
+  'WEBHOOKS.BACKOFF_BASE_MS': { type: 'int', min: 0, max: 3600000, env: 'WEBHOOK_BACKOFF_MS' },
+  'ALERTS.EVALUATION_INTERVAL_MS': { type: 'int', min: 1000, max: 3600000, env: 'ALERT_INTERVAL_MS', restart: true },
+  'ARCHIVE.SINK': { type: 'enum', values: ['ndjson', 'sqlite'], nullable: true, env: 'ARCHIVE_SINK', restart: true },
+  'ARCHIVE.DIR': { type: 'string', env: 'ARCHIVE_DIR', restart: true },
+  'ARCHIVE.ROTATION': { type: 'enum', values: ['daily', 'hourly'], env: 'ARCHIVE_ROTATION', restart: true },
+  'ARCHIVE.SQLITE_PATH': { type: 'string', env: 'ARCHIVE_SQLITE_PATH', restart: true },
+  'ARCHIVE.FLUSH_INTERVAL_MS': { type: 'int', min: 100, max: 3600000, env: 'ARCHIVE_FLUSH_MS', restart: true },
+  'ARCHIVE.RETENTION_DAYS': { type: 'int', min: 1, max: 36500, env: 'ARCHIVE_RETENTION_DAYS' }
+};
+
+function getConfigPath(obj, path) {
+  return path.split('.').reduce((value, part) => (value == null ? undefined : value[part]), obj);
 }
 
-async function addLocationHistory(courierId, location) {
-  const key = CONFIG.KEYS.LOCATION_HISTORY + courierId;
-  await redis.lPush(key, JSON.stringify({ ...location, timestamp: Date.now() }));
-  await redis.lTrim(key, 0, 99); // Son 100 konum
-  await redis.expire(key, CONFIG.TTL.LOCATION_HISTORY);
+function setConfigPath(obj, path, value) {
+  const parts = path.split('.');
+  const last = parts.pop();
+  parts.reduce((node, part) => node[part], obj)[last] = value;
 }
 
-async function checkRateLimit(courierId) {
-  const key = CONFIG.KEYS.RATE_LIMIT + courierId;
-  const count = await redis.incr(key);
+// { TTL: { COURIER: 1 } } -> { 'TTL.COURIER': 1 }
+function flattenConfig(obj, prefix = '') {
+  const flat = {};
+  for (const [key, value] of Object.entries(obj || {})) {
+    const path = prefix + key;
+    if (value && typeof value === 'object' && !Array.isArray(value) && !CONFIG_SCHEMA[path]) {
+      Object.assign(flat, flattenConfig(value, path + '.'));
+    } else {
+      flat[path] = value;
+    }
+  }
+  return flat;
+}
 
-  if (count === 1) {
-    await redis.expire(key, CONFIG.TTL.RATE_LIMIT);
+// Ortam değişkenleri string gelir; tipine çevrilip sınırları kontrol edilir
+function coerceConfigValue(spec, value) {
+  if (spec.nullable && (value === null || value === '')) {
+    return { value: null };
+  }
+  if (spec.type === 'list') {
+    const list = (Array.isArray(value) ? value : String(value).split(',')).map(v => String(v).trim()).filter(Boolean);
+    if (list.length === 0) return { error: 'must be a non-empty list' };
+    const unknown = spec.values ? list.filter(v => !spec.values.includes(v)) : [];
+    return unknown.length === 0 ? { value: list } : { error: `must contain only ${spec.values.join(', ')} (got ${unknown.join(', ')})` };
+  }
+  if (spec.type === 'enum') {
+    return spec.values.includes(value) ? { value } : { error: `must be one of ${spec.values.join(', ')}` };
+  }
+  if (spec.type === 'string') {
+    return typeof value === 'string' && value.trim() !== '' ? { value: value.trim() } : { error: 'must be a non-empty string' };
   }
 
-  return count <= CONFIG.MAX_LOCATIONS_PER_MINUTE;
+  const number = Number(value);
+  if (value === '' || value === null || !Number.isFinite(number) || (spec.type === 'int' && !Number.isInteger(number))) {
+    return { error: `must be ${spec.type === 'int' ? 'an integer' : 'a number'}` };
+  }
+  if (number < spec.min || number > spec.max) {
+    return { error: `must be between ${spec.min} and ${spec.max}` };
+  }
+  return { value: number };
 }
 
-async function getAllCouriers() {
-  const keys = await redis.keys(CONFIG.KEYS.COURIER + '*');
-  const couriers = [];
+// Tek katman: { values, branches, errors }
+function parseConfigLayer(raw, source, { allowRestart = true } = {}) {
+  const { branches = {}, ...rest } = raw || {};
+  const layer = { values: {}, branches: {}, errors: [] };
 
-  for (const key of keys) {
-    const courierId = key.replace(CONFIG.KEYS.COURIER, '');
-    const data = await getCourier(courierId);
-    if (data) {
-      couriers.push({ courierId, ...data });
+  const read = (entries, target, prefix, branchOnly) => {
+    for (const [path, rawValue] of Object.entries(flattenConfig(entries))) {
+      const spec = CONFIG_SCHEMA[path];
+      if (!spec) {
+        layer.errors.push(`${source}: unknown key ${prefix}${path}`);
+      } else if (branchOnly && !spec.branch) {
+        layer.errors.push(`${source}: ${prefix}${path} cannot be set per branch`);
+      } else if (!allowRestart && spec.restart) {
+        layer.errors.push(`${source}: ${prefix}${path} requires a restart (use the config file or env)`);
+      } else {
+        const { value, error } = coerceConfigValue(spec, rawValue);
+        if (error) layer.errors.push(`${source}: ${prefix}${path} ${error}`);
+        else target[path] = value;
+      }
     }
-  }
+  };
 
-  return couriers;
-}
+  read(rest, layer.values, '', false);
 
-async function getActiveCourierCount() {
-  const keys = await redis.keys(CONFIG.KEYS.COURIER + '*');
-  return keys.length;
+  if (!branches || typeof branches !== 'object' || Array.isArray(branches)) {
+    layer.errors.push(`${source}: branches must be an object`);
+    return layer;
+  }
+  for (const [branchId, overrides] of Object.entries(branches)) {
+    layer.branches[branchId] = {};
+    read(overrides, layer.branches[branchId], `branches.${branchId}.`, true);
+  }
+  return layer;
 }
 
-async function updateGlobalMetrics(field, increment = 1) {
-  await redis.hIncrBy(CONFIG.KEYS.METRICS, field, increment);
+function readConfigFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  return /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
 }
 
-async function getGlobalMetrics() {
-  return await redis.hGetAll(CONFIG.KEYS.METRICS);
+function readEnvLayer() {
+  const raw = {};
+  for (const [path, spec] of Object.entries(CONFIG_SCHEMA)) {
+    if (spec.env && process.env[spec.env] !== undefined) raw[path] = process.env[spec.env];
+  }
+  return raw;
 }
 
-// ==================== HEALTH CHECK ENDPOINTS ====================
+// Katmanları birleştirir: { values, branches, errors }
+function loadConfig(runtime = null) {
+  const layers = [];
+  const errors = [];
 
-app.get('/', async (req, res) => {
-  try {
-    const activeCouriers = await getActiveCourierCount();
-    const globalMetrics = await getGlobalMetrics();
-    const uptime = Math.floor((Date.now() - localMetrics.startTime) / 1000);
-
-    res.json({
-      status: 'ok',
-      service: 'YemiGO Courier Socket Server',
-      version: '3.0.0 (Redis Cluster)',
-      instance: localMetrics.instanceId,
-      uptime: `${Math.floor(uptime / 3600)}h ${Math.floor((uptime % 3600) / 60)}m`,
-      activeCouriers,
-      redis: 'connected',
-      capacity: '10,000+ couriers',
-      metrics: {
-        global: globalMetrics,
-        instance: {
-          connections: localMetrics.connections,
-          locationsReceived: localMetrics.locationsReceived
-        }
-      }
-    });
-  } catch (error) {
-    res.status(500).json({ status: 'error', message: error.message });
+  if (process.env.CONFIG_FILE) {
+    try {
+      layers.push(parseConfigLayer(readConfigFile(process.env.CONFIG_FILE), process.env.CONFIG_FILE));
+    } catch (error) {
+      errors.push(`${process.env.CONFIG_FILE}: ${error.message}`);
+    }
+  }
+  layers.push(parseConfigLayer(readEnvLayer(), 'env'));
+  if (runtime) layers.push(parseConfigLayer(runtime, 'runtime', { allowRestart: false }));
+
+  const values = {};
+  const branches = {};
+  for (const path of Object.keys(CONFIG_SCHEMA)) {
+    values[path] = getConfigPath(DEFAULT_CONFIG, path);
+  }
+  for (const layer of layers) {
+    errors.push(...layer.errors);
+    Object.assign(values, layer.values);
+    for (const [branchId, overrides] of Object.entries(layer.branches)) {
+      branches[branchId] = { ...branches[branchId], ...overrides };
+    }
   }
-});
 
-app.get('/health', async (req, res) => {
+  if (values.DEFAULT_PAGE_SIZE > values.MAX_PAGE_SIZE) {
+    errors.push('DEFAULT_PAGE_SIZE must not exceed MAX_PAGE_SIZE');
+  }
   try {
-    // Redis ping
-    await redis.ping();
-    const memUsage = process.memoryUsage();
-
-    res.json({
-      status: 'healthy',
-      timestamp: new Date().toISOString(),
-      instance: localMetrics.instanceId,
-      redis: 'connected',
-      memory: {
-        heapUsed: `${Math.round(memUsage.heapUsed / 1024 / 1024)}MB`,
-        heapTotal: `${Math.round(memUsage.heapTotal / 1024 / 1024)}MB`,
-        rss: `${Math.round(memUsage.rss / 1024 / 1024)}MB`
-      },
-      socketConnections: io.engine.clientsCount
-    });
+    proxyaddr.compile(values.TRUST_PROXY);
   } catch (error) {
-    res.status(500).json({ status: 'unhealthy', error: error.message });
+    errors.push(`TRUST_PROXY ${error.message}`);
   }
-});
-
-app.get('/couriers', async (req, res) => {
   try {
-    const couriers = await getAllCouriers();
-    const now = Date.now();
+    new Intl.DateTimeFormat('en-CA', { timeZone: values['STATS.TIMEZONE'] });
+  } catch {
+    errors.push(`STATS.TIMEZONE ${values['STATS.TIMEZONE']} is not a known time zone`);
+  }
+  return { values, branches, errors };
+}
 
-    const result = couriers.map(c => ({
-      ...c,
-      isOnline: (now - new Date(c.lastUpdate).getTime()) < CONFIG.COURIER_TIMEOUT_MS
-    }));
+// Verilen config yerinde güncellenir; yeniden başlatma isteyen değişiklikler ilk yüklemeden sonra atlanır
+function applyConfig(config, { values }, { initial = false } = {}) {
+  const changed = [];
+  const restartRequired = [];
 
-    res.json(result);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+  for (const [path, value] of Object.entries(values)) {
+    if (JSON.stringify(getConfigPath(config, path)) === JSON.stringify(value)) continue;
+    if (!initial && CONFIG_SCHEMA[path].restart) {
+      restartRequired.push(path);
+      continue;
+    }
+    setConfigPath(config, path, value);
+    changed.push(path);
   }
-});
 
-app.get('/branch/:branchId/couriers', async (req, res) => {
-  try {
-    const { branchId } = req.params;
-    const courierIds = await getBranchCouriers(branchId);
+  return { changed, restartRequired };
+}
 
-    const couriers = [];
-    for (const courierId of courierIds) {
-      const data = await getCourier(courierId);
-      if (data) {
-        couriers.push({
-          courierId,
-          name: data.name,
-          location: data.location,
-          batteryLevel: data.batteryLevel,
-          lastUpdate: data.lastUpdate,
-          isOnline: (Date.now() - new Date(data.lastUpdate).getTime()) < CONFIG.COURIER_TIMEOUT_MS
-        });
-      }
-    }
+// ==================== TOKEN BUCKET ====================
 
-    res.json(couriers);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+// Çoklu kova: hepsinde jeton varsa hepsinden düşülür, yoksa hiçbirinden (atomik, tüm instance'lar)
+// KEYS: kovalar; ARGV: now (ms), cost, ardından kova başına capacity, refillPerSec
+// Dönüş: { allowed (1/0), retryAfterMs }
+const TOKEN_BUCKET_SCRIPT = `
+local now = tonumber(ARGV[1])
+local cost = tonumber(ARGV[2])
+local allowed = 1
+local retryAfterMs = 0
+local tokens = {}
 
-app.get('/metrics', async (req, res) => {
-  try {
-    const globalMetrics = await getGlobalMetrics();
-    const activeCouriers = await getActiveCourierCount();
-
-    res.json({
-      global: globalMetrics,
-      instance: localMetrics,
-      activeCouriers,
-      memoryUsage: process.memoryUsage(),
-      uptime: Date.now() - localMetrics.startTime
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+for i, key in ipairs(KEYS) do
+  local capacity = tonumber(ARGV[1 + i * 2])
+  local refill = tonumber(ARGV[2 + i * 2])
+  local state = redis.call('HMGET', key, 'tokens', 'ts')
+  local current = tonumber(state[1]) or capacity
+  local ts = tonumber(state[2]) or now
+  current = math.min(capacity, current + math.max(0, now - ts) * refill / 1000)
+  tokens[i] = current
+  if current < cost then
+    allowed = 0
+    retryAfterMs = math.max(retryAfterMs, math.ceil((cost - current) * 1000 / refill))
+  end
+end
 
-// ==================== SOCKET.IO HANDLERS ====================
+for i, key in ipairs(KEYS) do
+  local capacity = tonumber(ARGV[1 + i * 2])
+  local refill = tonumber(ARGV[2 + i * 2])
+  local current = tokens[i]
+  if allowed == 1 then current = current - cost end
+  redis.call('HSET', key, 'tokens', tostring(current), 'ts', now)
+  redis.call('PEXPIRE', key, math.ceil(capacity * 1000 / refill) + 1000)
+end
 
-io.on('connection', async (socket) => {
-  const clientIP = socket.handshake.headers['x-forwarded-for'] || socket.handshake.address;
+return { allowed, retryAfterMs }
+`;
 
-  localMetrics.connections++;
-  await updateGlobalMetrics('totalConnections');
+// ==================== SERVER FACTORY ====================
 
-  console.log(`🔌 [${localMetrics.instanceId}] Yeni bağlantı: ${socket.id}`);
+// Redis client'ı ve port dışarıdan verilebilir (testlerde ayrı redis-server, port 0).
+// Verilen client henüz bağlı olmamalı; bağlantı ve kapatma start()/stop() ile yönetilir.
+// Config hatasında hata fırlatır.
+function createServer({ redis: redisClient = null, port = process.env.PORT || 3000 } = {}) {
+  // Instance'ın kendi config'i; aynı süreçteki instance'lar durum paylaşmaz
+  const CONFIG = structuredClone(DEFAULT_CONFIG);
+  const initialConfig = loadConfig();
+  if (initialConfig.errors.length > 0) {
+    const error = new Error(`Config hatası: ${initialConfig.errors.join('; ')}`);
+    error.errors = initialConfig.errors;
+    throw error;
+  }
+  applyConfig(CONFIG, initialConfig, { initial: true });
 
-  // ==================== KURYE BAĞLANTISI ====================
+  // branchId -> { key: değer }
+  let branchConfig = initialConfig.branches;
 
-  socket.on('courier:connect', async (data) => {
-    try {
-      const { courierId, branchId, name, appVersion, platform } = data;
+  function branchSetting(branchId, key) {
+    const overrides = branchConfig[branchId];
+    return overrides && overrides[key] !== undefined ? overrides[key] : CONFIG[key];
+  }
 
-      if (!courierId || !branchId) {
-        socket.emit('error', { message: 'Missing courierId or branchId' });
-        return;
-      }
+  const app = express();
+  const server = http.createServer(app);
 
-      console.log(`🚴 [${localMetrics.instanceId}] Kurye: ${name} (${courierId}) - Şube: ${branchId}`);
+  // Periyodik işler start()'ta kurulur, stop() ile durdurulur; aralık config
+  // yüklendikten sonra okunur. createServer() tek başına timer başlatmaz.
+  const jobs = [];
+  const timers = [];
 
-      // Eski bağlantıyı kontrol et
-      const existingCourier = await getCourier(courierId);
-      if (existingCourier && existingCourier.socketId !== socket.id) {
-        // Eski socket'e bildir (farklı instance'da olabilir)
-        io.to(existingCourier.socketId).emit('courier:kicked', { reason: 'New connection' });
-      }
+  function scheduleJob(run, intervalMs) {
+    jobs.push({ run, intervalMs });
+  }
 
-      // Redis'e kaydet
-      await setCourier(courierId, {
-        socketId: socket.id,
-        branchId,
-        name,
-        location: null,
-        batteryLevel: 100,
-        platform: platform || 'unknown',
-        appVersion: appVersion || 'unknown'
-      });
+  // Drain modunda yeni bağlantı alınmaz; inFlight: kapanmadan önce bitmesi beklenen handler'lar
+  let draining = false;
+  const inFlight = new Set();
 
-      // Şube listesine ekle
-      await addCourierToBranch(branchId, courierId);
+  const instanceId = Math.random().toString(36).substr(2, 9);
+  const log = createLogger({ instanceId }, CONFIG);
 
-      // Socket metadata
-      socket.courierId = courierId;
-      socket.branchId = branchId;
-      socket.courierName = name;
+  // ==================== REDIS SETUP ====================
 
-      // Şube odasına katıl
-      socket.join(`branch:${branchId}`);
+  // Genel Redis client
+  let redis = redisClient;
+  if (!redis) {
+    const redisUrl = CONFIG.REDIS_URL;
+    log.info('Redis client oluşturuldu', { redisUrl: redisUrl.replace(/:[^:@]+@/, ':***@') }); // Şifreyi gizle
+    redis = createClient({ url: redisUrl });
+  }
 
-      // Onay gönder
-      socket.emit('courier:connected', {
-        success: true,
-        message: 'Bağlantı başarılı',
-        courierId,
-        serverTime: new Date().toISOString(),
-        instance: localMetrics.instanceId
-      });
+  // Pub/Sub için iki ayrı client
+  const pubClient = redis.duplicate();
+  const subClient = redis.duplicate();
 
-      // Şubeye bildir (tüm instance'lara)
-      io.to(`branch:${branchId}`).emit('courier:online', {
-        courierId,
-        name,
-        branchId,
-        timestamp: new Date().toISOString()
-      });
+  // Uygulama kanalları: şube akışı, config yenileme (adapter'ın subscriber'ından ayrı)
+  const channelClient = redis.duplicate();
 
-    } catch (error) {
-      console.error('courier:connect hatası:', error);
-      socket.emit('error', { message: 'Connection failed' });
+  // Dinleyicisiz 'error' süreci çökertir; yeniden bağlanma denemeleri de buraya düşer
+  for (const [name, client] of Object.entries({ redis, pub: pubClient, sub: subClient, channel: channelClient })) {
+    client.on('error', (error) => {
+      log.error('Redis bağlantı hatası', { type: 'redis_error', client: name, err: error });
+    });
+  }
+
+  // ==================== SOCKET.IO SETUP ====================
+
+  const corsOrigin = CONFIG.CORS_ORIGINS.includes('*') ? '*' : CONFIG.CORS_ORIGINS;
+
+  const io = new Server(server, {
+    cors: {
+      origin: corsOrigin,
+      methods: ["GET", "POST"]
+    },
+    transports: ['websocket', 'polling'],
+    pingTimeout: 60000,
+    pingInterval: 25000,
+    maxHttpBufferSize: 1e6,
+    // Cluster için önemli
+    connectionStateRecovery: {
+      maxDisconnectionDuration: 2 * 60 * 1000,
+      skipMiddlewares: true,
     }
   });
 
-  // ==================== KONUM GÜNCELLEMESİ ====================
-
-  socket.on('courier:location', async (data) => {
-    try {
-      const { courierId, latitude, longitude, speed, heading, accuracy, timestamp, batteryLevel } = data;
+  app.set('trust proxy', CONFIG.TRUST_PROXY);
+  app.use(cors({ origin: corsOrigin }));
+  app.use(express.json());
 
-      if (!courierId || latitude === undefined || longitude === undefined) {
-        return;
-      }
+  // İstek kimliği: gelen X-Request-Id korunur, yoksa üretilir; yanıtta ve her log satırında yer alır
+  app.use((req, res, next) => {
+    req.id = req.get('x-request-id') || crypto.randomUUID();
+    req.log = log.child({ requestId: req.id });
+    res.set('X-Request-Id', req.id);
 
-      // Rate limit
-      const allowed = await checkRateLimit(courierId);
-      if (!allowed) {
-        return;
-      }
+    // Handler'lar 5xx'te { error } döner; mesaj log satırına taşınır
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode >= 500 && body && body.error) res.locals.error = body.error;
+      return json(body);
+    };
 
-      const courier = await getCourier(courierId);
-      if (!courier) {
-        socket.emit('error', { message: 'Courier not registered. Please reconnect.' });
-        return;
+    const startedAt = Date.now();
+    res.on('finish', () => {
+      const fields = {
+        event: `${req.method} ${req.route ? req.baseUrl + req.route.path : req.path}`,
+        status: res.statusCode,
+        durationMs: Date.now() - startedAt
+      };
+      if (res.statusCode >= 500) {
+        req.log.error('HTTP isteği başarısız', { type: 'handler_error', ...fields, error: res.locals.error });
+      } else {
+        req.log.debug('HTTP isteği', fields);
       }
+    });
+    next();
+  });
 
-      // Konum verisi
-      const locationData = {
-        latitude,
-        longitude,
-        speed: speed || 0,
-        heading: heading || 0,
-        accuracy: accuracy || 0,
-        timestamp: timestamp || Date.now()
-      };
+  // ==================== LOCAL METRICS (instance başına) ====================
 
-      // Redis güncelle
-      await setCourier(courierId, {
-        ...courier,
-        socketId: socket.id,
-        location: locationData,
-        batteryLevel: batteryLevel || courier.batteryLevel
-      });
+  const localMetrics = {
+    connections: 0,
+    disconnections: 0,
+    locationsReceived: 0,
+    batchesReceived: 0,
+    startTime: Date.now(),
+    instanceId
+  };
 
-      // Konum geçmişine ekle
-      await addLocationHistory(courierId, locationData);
+  // ==================== PROMETHEUS METRICS ====================
 
-      // Metrics
-      localMetrics.locationsReceived++;
-      await updateGlobalMetrics('totalLocations');
+  // Prometheus'un kendi "instance" label'ı ile çakışmasın diye instance_id
+  const promRegistry = new promClient.Registry();
+  promRegistry.setDefaultLabels({ instance_id: localMetrics.instanceId });
+  promClient.collectDefaultMetrics({ register: promRegistry });
 
-      // Şubeye broadcast (tüm instance'lara Redis üzerinden)
-      io.to(`branch:${courier.branchId}`).emit('courier:location:update', {
-        courierId,
-        name: courier.name,
-        ...locationData,
-        batteryLevel: batteryLevel || courier.batteryLevel,
-        serverTimestamp: new Date().toISOString()
-      });
+  const promMetrics = {
+    connections: new promClient.Counter({
+      name: 'courier_socket_connections_total',
+      help: 'Socket connections accepted',
+      registers: [promRegistry]
+    }),
+    disconnections: new promClient.Counter({
+      name: 'courier_socket_disconnections_total',
+      help: 'Socket disconnections',
+      registers: [promRegistry]
+    }),
+    locations: new promClient.Counter({
+      name: 'courier_socket_locations_total',
+      help: 'Accepted courier location updates',
+      labelNames: ['branch'],
+      registers: [promRegistry]
+    }),
+    batches: new promClient.Counter({
+      name: 'courier_socket_location_batches_total',
+      help: 'Received courier location batches',
+      labelNames: ['branch'],
+      registers: [promRegistry]
+    }),
+    rateLimited: new promClient.Counter({
+      name: 'courier_socket_rate_limited_total',
+      help: 'Events rejected by rate limiting',
+      labelNames: ['event'],
+      registers: [promRegistry]
+    }),
+    bans: new promClient.Counter({
+      name: 'courier_socket_bans_total',
+      help: 'Clients temporarily banned for repeated rate limit violations',
+      registers: [promRegistry]
+    }),
+    handlerDuration: new promClient.Histogram({
+      name: 'courier_socket_handler_duration_seconds',
+      help: 'Socket event handler latency',
+      labelNames: ['event'],
+      buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+      registers: [promRegistry]
+    }),
+    redisDuration: new promClient.Histogram({
+      name: 'courier_socket_redis_duration_seconds',
+      help: 'Redis operation latency',
+      labelNames: ['op'],
+      buckets: [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25],
+      registers: [promRegistry]
+    })
+  };
 
-    } catch (error) {
-      console.error('courier:location hatası:', error);
+  // Scrape anında bu instance'taki socket'leri role göre say
+  new promClient.Gauge({
+    name: 'courier_socket_connected_sockets',
+    help: 'Currently connected sockets on this instance by role',
+    labelNames: ['role'],
+    registers: [promRegistry],
+    collect() {
+      const counts = { courier: 0, pos: 0, panel: 0, other: 0 };
+      for (const socket of io.of('/').sockets.values()) {
+        counts[socketRole(socket)]++;
+      }
+      for (const [role, count] of Object.entries(counts)) {
+        this.set({ role }, count);
+      }
     }
   });
 
-  // ==================== BATCH KONUM ====================
+  function socketRole(socket) {
+    if (socket.courierId) return 'courier';
+    if (socket.isPos) return 'pos';
+    if (socket.isPanel) return 'panel';
+    return 'other';
+  }
 
-  socket.on('courier:location:batch', async (data) => {
+  async function timeRedis(op, fn) {
+    const end = promMetrics.redisDuration.startTimer({ op });
     try {
-      const { courierId, locations } = data;
+      return await fn();
+    } catch (error) {
+      log.error('Redis komutu başarısız', { type: 'redis_error', op, err: error });
+      throw error;
+    } finally {
+      end();
+    }
+  }
 
-      if (!courierId || !Array.isArray(locations)) {
-        return;
-      }
+  // ==================== REDIS HELPER FUNCTIONS ====================
 
-      const courier = await getCourier(courierId);
-      if (!courier) {
-        socket.emit('error', { message: 'Courier not registered' });
-        return;
-      }
+  // Hash + aktif kurye index'i tek MULTI ile güncellenir. connectedAt oturumu temsil
+  // eder ve yalnız oturum açılırken yazılır; okunan kaydı geri yazan güncellemeler
+  // recordSessionEnd'in hDel ile sahiplendiği alanı yeniden oluşturmaz.
+  async function setCourier(courierId, data, { startSession = false } = {}) {
+    const key = CONFIG.KEYS.COURIER + courierId;
+    const now = Date.now();
+    const { connectedAt, ...fields } = data;
 
-      const validLocations = locations.slice(0, CONFIG.MAX_BATCH_SIZE);
-      console.log(`📦 [${localMetrics.instanceId}] Batch: ${courier.name} - ${validLocations.length} konum`);
+    const multi = redis.multi()
+      .hSet(key, {
+        ...fields,
+        ...(startSession ? { connectedAt } : {}),
+        location: JSON.stringify(data.location || null),
+        lastUpdate: new Date(now).toISOString()
+      })
+      .expire(key, CONFIG.TTL.COURIER)
+      .zAdd(CONFIG.KEYS.ACTIVE_COURIERS, { score: now, value: String(courierId) });
 
-      // Son konumu güncelle
-      if (validLocations.length > 0) {
-        const lastLoc = validLocations[validLocations.length - 1];
-        await setCourier(courierId, {
-          ...courier,
-          socketId: socket.id,
-          location: lastLoc,
-          batteryLevel: lastLoc.batteryLevel || courier.batteryLevel
-        });
+    if (data.branchId) {
+      multi.hSet(CONFIG.KEYS.COURIER_BRANCH, String(courierId), String(data.branchId));
+    }
+    if (data.branchId && isValidCoordinate(data.location)) {
+      multi.geoAdd(CONFIG.KEYS.BRANCH_GEO + data.branchId, {
+        longitude: data.location.longitude,
+        latitude: data.location.latitude,
+        member: String(courierId)
+      });
+    }
+    await timeRedis('setCourier', () => multi.exec());
+  }
 
-        // Tüm konumları geçmişe ekle
-        for (const loc of validLocations) {
-          await addLocationHistory(courierId, loc);
-        }
-      }
+  async function getCourier(courierId) {
+    const key = CONFIG.KEYS.COURIER + courierId;
+    const data = await timeRedis('getCourier', () => redis.hGetAll(key));
+    if (!data || Object.keys(data).length === 0) return null;
 
-      localMetrics.batchesReceived++;
-      await updateGlobalMetrics('totalBatches');
+    // %0 geçerli bir değer; yalnızca okunamayan değer 100 sayılır
+    const batteryLevel = parseInt(data.batteryLevel, 10);
 
-      // Şubeye gönder
-      io.to(`branch:${courier.branchId}`).emit('courier:location:batch', {
-        courierId,
-        name: courier.name,
-        locations: validLocations,
-        serverTimestamp: new Date().toISOString()
-      });
+    return {
+      ...data,
+      location: data.location ? JSON.parse(data.location) : null,
+      batteryLevel: Number.isFinite(batteryLevel) ? batteryLevel : 100,
+      status: data.status || 'available'
+    };
+  }
 
-      // Onay
-      socket.emit('courier:batch:ack', {
-        received: validLocations.length,
-        timestamp: new Date().toISOString()
-      });
+  async function deleteCourier(courierId) {
+    await redis.multi()
+      .del(CONFIG.KEYS.COURIER + courierId)
+      .zRem(CONFIG.KEYS.ACTIVE_COURIERS, String(courierId))
+      .hDel(CONFIG.KEYS.COURIER_BRANCH, String(courierId))
+      .exec();
+  }
 
-    } catch (error) {
-      console.error('courier:location:batch hatası:', error);
-    }
-  });
+  // Birden fazla kurye; eşzamanlı komutlar node-redis tarafından pipeline edilir
+  async function getCouriers(courierIds) {
+    const results = await Promise.all(courierIds.map(id => getCourier(id)));
+    return courierIds
+      .map((courierId, i) => (results[i] ? { courierId, ...results[i] } : null))
+      .filter(Boolean);
+  }
 
-  // ==================== POS BAĞLANTISI ====================
+  // Kayıtlı kurye yeniden bağlanabilir; yeni kurye şube limitine takılır
+  async function hasBranchCapacity(branchId, courierId) {
+    const key = CONFIG.KEYS.BRANCH + branchId;
+    if (await redis.sIsMember(key, String(courierId))) return true;
+    return await redis.sCard(key) < branchSetting(branchId, 'MAX_COURIERS_PER_BRANCH');
+  }
 
-  socket.on('pos:connect', async (data) => {
-    try {
-      const { branchId, posName } = data;
-      if (!branchId) {
-        socket.emit('error', { message: 'Missing branchId' });
-        return;
-      }
+  async function addCourierToBranch(branchId, courierId) {
+    await redis.sAdd(CONFIG.KEYS.BRANCH + branchId, courierId);
+  }
 
-      console.log(`🖥️ [${localMetrics.instanceId}] POS bağlandı: ${posName || 'Unknown'} - Şube: ${branchId}`);
+  async function removeCourierFromBranch(branchId, courierId) {
+    await redis.multi()
+      .sRem(CONFIG.KEYS.BRANCH + branchId, courierId)
+      .zRem(CONFIG.KEYS.BRANCH_GEO + branchId, courierId)
+      .exec();
+  }
 
-      socket.join(`branch:${branchId}`);
-      socket.branchId = branchId;
-      socket.isPos = true;
-      socket.posName = posName;
+  async function getBranchCouriers(branchId) {
+    return await redis.sMembers(CONFIG.KEYS.BRANCH + branchId);
+  }
 
-      // Şubenin kuryelerini gönder
-      const courierIds = await getBranchCouriers(branchId);
-      const couriers = [];
+  async function addLocationHistory(courierId, location, branchId) {
+    const key = CONFIG.KEYS.LOCATION_HISTORY + courierId;
+    const multi = redis.multi()
+      .lPush(key, JSON.stringify({ ...location, timestamp: Number(location.timestamp) || Date.now() }))
+      .lTrim(key, 0, 99) // Son 100 konum
+      .expire(key, CONFIG.TTL.LOCATION_HISTORY);
 
-      for (const courierId of courierIds) {
-        const courierData = await getCourier(courierId);
-        if (courierData) {
-          couriers.push({
-            courierId,
-            name: courierData.name,
-            location: courierData.location,
-            batteryLevel: courierData.batteryLevel,
-            lastUpdate: courierData.lastUpdate,
-            isOnline: (Date.now() - new Date(courierData.lastUpdate).getTime()) < CONFIG.COURIER_TIMEOUT_MS
-          });
-        }
-      }
+    addTrailPoint(multi, courierId, location, branchId);
+    await timeRedis('addLocationHistory', () => multi.exec());
+  }
 
-      // POS'a mevcut kuryelerin listesini gönder
-      socket.emit('couriers:list', couriers);
+  // Kalıcı iz: timestamp skorlu sorted set, retention kadar saklanır
+  function addTrailPoint(multi, courierId, location, branchId) {
+    const key = CONFIG.KEYS.TRAIL + courierId;
+    const now = Date.now();
+    // İleri tarihli nokta retention dışında kalmasın diye sunucu saatine kırpılır
+    const timestamp = Number(location.timestamp) > 0 ? Math.min(Number(location.timestamp), now) : now;
 
-      // Bağlantı onayı
-      socket.emit('pos:connected', {
-        success: true,
-        branchId,
-        courierCount: couriers.length,
-        serverTime: new Date().toISOString()
-      });
+    multi.zAdd(key, {
+      score: timestamp,
+      value: JSON.stringify({
+        latitude: location.latitude,
+        longitude: location.longitude,
+        speed: location.speed || 0,
+        heading: location.heading || 0,
+        accuracy: location.accuracy || 0,
+        timestamp,
+        branchId: branchId || null
+      })
+    });
+    multi.zRemRangeByScore(key, '-inf', now - CONFIG.TTL.TRAIL_HOURS * 3600000);
+    multi.expire(key, CONFIG.TTL.TRAIL_HOURS * 3600);
+  }
 
-    } catch (error) {
-      console.error('pos:connect hatası:', error);
-      socket.emit('error', { message: 'POS connection failed' });
-    }
-  });
+  // Aralık limitten uzunsa en yeni MAX_HISTORY_POINTS nokta döner (kronolojik sırada)
+  async function getTrail(courierId, from, to) {
+    const values = await redis.zRange(CONFIG.KEYS.TRAIL + courierId, to, from, {
+      BY: 'SCORE',
+      REV: true,
+      LIMIT: { offset: 0, count: CONFIG.MAX_HISTORY_POINTS + 1 }
+    });
+    const truncated = values.length > CONFIG.MAX_HISTORY_POINTS;
+    const points = values.slice(0, CONFIG.MAX_HISTORY_POINTS).reverse().map(v => JSON.parse(v));
+    return { points, truncated };
+  }
 
-  // ==================== PANEL ABONELİĞİ ====================
+  async function checkRateLimit(courierId, branchId) {
+    const key = CONFIG.KEYS.RATE_LIMIT + courierId;
+    const count = await timeRedis('checkRateLimit', () => redis.incr(key));
 
-  socket.on('branch:subscribe', async (data) => {
-    try {
-      const { branchId } = data;
-      if (!branchId) return;
+    if (count === 1) {
+      await redis.expire(key, CONFIG.TTL.RATE_LIMIT);
+    }
 
-      console.log(`🖥️ [${localMetrics.instanceId}] Panel abone: ${branchId}`);
+    return count <= branchSetting(branchId, 'MAX_LOCATIONS_PER_MINUTE');
+  }
 
-      socket.join(`branch:${branchId}`);
-      socket.branchId = branchId;
-      socket.isPanel = true;
+  // Index'ten en son güncellenen önce, sayfalı; hash'i düşmüş (TTL'i geçmiş) kuryeler sayılmaz
+  async function getAllCouriers({ offset = 0, limit = CONFIG.DEFAULT_PAGE_SIZE } = {}) {
+    const cutoff = Date.now() - CONFIG.TTL.COURIER * 1000;
+    const [total, courierIds] = await Promise.all([
+      redis.zCount(CONFIG.KEYS.ACTIVE_COURIERS, cutoff, '+inf'),
+      redis.zRange(CONFIG.KEYS.ACTIVE_COURIERS, '+inf', cutoff, {
+        BY: 'SCORE',
+        REV: true,
+        LIMIT: { offset, count: limit }
+      })
+    ]);
 
-      // Şubenin kuryelerini gönder
-      const courierIds = await getBranchCouriers(branchId);
-      const couriers = [];
+    return { total, couriers: await getCouriers(courierIds) };
+  }
 
-      for (const courierId of courierIds) {
-        const data = await getCourier(courierId);
-        if (data) {
-          couriers.push({
-            courierId,
-            name: data.name,
-            location: data.location,
-            batteryLevel: data.batteryLevel,
-            lastUpdate: data.lastUpdate,
-            isOnline: (Date.now() - new Date(data.lastUpdate).getTime()) < CONFIG.COURIER_TIMEOUT_MS
-          });
-        }
-      }
+  // TTL penceresi içinde güncellenmiş kuryeler
+  async function getActiveCourierCount() {
+    return await redis.zCount(CONFIG.KEYS.ACTIVE_COURIERS, Date.now() - CONFIG.TTL.COURIER * 1000, '+inf');
+  }
+
+  // Şube set'lerinde kalmış ama hash'i düşmüş id'ler ayıklanır (tek round-trip)
+  async function filterExistingCouriers(courierIds) {
+    if (courierIds.length === 0) return [];
+    const multi = redis.multi();
+    courierIds.forEach(id => multi.exists(CONFIG.KEYS.COURIER + id));
+    const exists = await multi.exec();
+    return courierIds.filter((id, i) => exists[i] === 1);
+  }
 
-      socket.emit('branch:couriers', couriers);
+  // POS/panel/REST için ortak şube listesi; statuses verilirse sadece o durumdakiler
+  async function getBranchCourierList(branchId, { offset = 0, limit = CONFIG.MAX_COURIERS_PER_BRANCH, statuses = null } = {}) {
+    const courierIds = (await getBranchCouriers(branchId)).sort();
+    const now = Date.now();
 
-    } catch (error) {
-      console.error('branch:subscribe hatası:', error);
+    // Durum filtresi sayfalamadan önce uygulanmalı (şube başına en fazla MAX_COURIERS_PER_BRANCH)
+    let couriers = await getCouriers(statuses ? courierIds : courierIds.slice(offset, offset + limit));
+    let total = courierIds.length;
+    if (statuses) {
+      couriers = couriers.filter(c => statuses.includes(c.status));
+      total = couriers.length;
+      couriers = couriers.slice(offset, offset + limit);
     }
-  });
 
-  // ==================== BAĞLANTI KOPUŞU ====================
+    return {
+      total,
+      couriers: couriers.map(data => ({
+        courierId: data.courierId,
+        name: data.name,
+        status: data.status,
+        location: data.location,
+        batteryLevel: data.batteryLevel,
+        lastUpdate: data.lastUpdate,
+        isOnline: (now - new Date(data.lastUpdate).getTime()) < CONFIG.COURIER_TIMEOUT_MS
+      }))
+    };
+  }
 
-  socket.on('disconnect', async (reason) => {
-    localMetrics.disconnections++;
-    await updateGlobalMetrics('totalDisconnections');
+  // Dağıtık kilit: sadece bir instance alır, süre dolunca serbest kalır
+  async function acquireLock(name, ttlMs) {
+    const result = await redis.set(CONFIG.KEYS.LOCK + name, localMetrics.instanceId, { NX: true, PX: ttlMs });
+    return result === 'OK';
+  }
 
-    console.log(`🔴 [${localMetrics.instanceId}] Bağlantı koptu: ${socket.id} - ${reason}`);
+  async function updateGlobalMetrics(field, increment = 1) {
+    await redis.hIncrBy(CONFIG.KEYS.METRICS, field, increment);
+  }
 
-    if (socket.courierId) {
-      try {
-        const courier = await getCourier(socket.courierId);
-
-        if (courier && courier.socketId === socket.id) {
-          // Şubeye bildir
-          io.to(`branch:${courier.branchId}`).emit('courier:offline', {
-            courierId: socket.courierId,
-            name: courier.name,
-            reason,
-            timestamp: new Date().toISOString()
-          });
+  async function getGlobalMetrics() {
+    return await redis.hGetAll(CONFIG.KEYS.METRICS);
+  }
 
-          // TTL azalt (hemen silme, yeniden bağlanabilir)
-          await redis.expire(CONFIG.KEYS.COURIER + socket.courierId, 30);
+  // ==================== GEO HELPERS ====================
 
-          console.log(`🚴 [${localMetrics.instanceId}] Kurye offline: ${courier.name}`);
-        }
-      } catch (error) {
-        console.error('disconnect hatası:', error);
-      }
+  const EARTH_RADIUS_M = 6371000;
+
+  function toRadians(deg) {
+    return deg * Math.PI / 180;
+  }
+
+  // İki nokta arası mesafe (metre)
+  function haversineDistance(lat1, lng1, lat2, lng2) {
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(a));
+  }
+
+  // Ray casting; polygon: [{ latitude, longitude }, ...]
+  function isPointInPolygon(latitude, longitude, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+      const yi = polygon[i].latitude, xi = polygon[i].longitude;
+      const yj = polygon[j].latitude, xj = polygon[j].longitude;
+
+      const intersects = ((yi > latitude) !== (yj > latitude)) &&
+        (longitude < (xj - xi) * (latitude - yi) / (yj - yi) + xi);
+      if (intersects) inside = !inside;
     }
-  });
+    return inside;
+  }
 
-  // Ping-pong
-  socket.on('ping', () => {
-    socket.emit('pong', {
-      serverTime: new Date().toISOString(),
-      instance: localMetrics.instanceId
-    });
-  });
-});
+  // ==================== KONUM DOĞRULAMA VE FİLTRELEME ====================
+
+  // Sayıya çevirir; boş/geçersizse undefined
+  function toNumber(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    const n = typeof value === 'number' ? value : Number(value);
+    return Number.isFinite(n) ? n : NaN;
+  }
 
-// ==================== CLEANUP JOB ====================
+  function toTimestamp(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    const ms = typeof value === 'number' || /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    return Number.isFinite(ms) ? ms : NaN;
+  }
 
-setInterval(async () => {
-  try {
-    const keys = await redis.keys(CONFIG.KEYS.COURIER + '*');
-    let cleaned = 0;
+  // { point, errors: [{ field, code, message }] }
+  function validateLocation(raw) {
+    const errors = [];
+    if (!raw || typeof raw !== 'object') {
+      return { point: null, errors: [{ field: null, code: 'INVALID_PAYLOAD', message: 'Location must be an object' }] };
+    }
 
-    for (const key of keys) {
-      const ttl = await redis.ttl(key);
-      if (ttl <= 0) {
-        const courierId = key.replace(CONFIG.KEYS.COURIER, '');
-        const courier = await getCourier(courierId);
+    const fields = {
+      latitude: { value: toNumber(raw.latitude), required: true, min: -90, max: 90 },
+      longitude: { value: toNumber(raw.longitude), required: true, min: -180, max: 180 },
+      speed: { value: toNumber(raw.speed), min: 0, max: 1000 },
+      heading: { value: toNumber(raw.heading), min: 0, max: 360 },
+      accuracy: { value: toNumber(raw.accuracy), min: 0, max: Infinity },
+      batteryLevel: { value: toNumber(raw.batteryLevel), min: 0, max: 100 }
+    };
 
-        if (courier) {
-          await removeCourierFromBranch(courier.branchId, courierId);
-        }
-        await redis.del(key);
-        cleaned++;
+    for (const [field, rule] of Object.entries(fields)) {
+      if (rule.value === undefined) {
+        if (rule.required) errors.push({ field, code: 'MISSING_FIELD', message: `${field} is required` });
+      } else if (Number.isNaN(rule.value)) {
+        errors.push({ field, code: 'INVALID_TYPE', message: `${field} must be a number` });
+      } else if (rule.value < rule.min || rule.value > rule.max) {
+        errors.push({ field, code: 'OUT_OF_RANGE', message: `${field} must be between ${rule.min} and ${rule.max}` });
       }
     }
 
-    if (cleaned > 0) {
-      console.log(`🧹 [${localMetrics.instanceId}] Temizlik: ${cleaned} kurye`);
+    const now = Date.now();
+    let timestamp = toTimestamp(raw.timestamp);
+    if (timestamp === undefined) {
+      timestamp = now;
+    } else if (Number.isNaN(timestamp)) {
+      errors.push({ field: 'timestamp', code: 'INVALID_TYPE', message: 'timestamp must be epoch ms or ISO date' });
+    } else if (timestamp > now + CONFIG.LOCATION_FILTER.MAX_CLOCK_SKEW_MS) {
+      errors.push({ field: 'timestamp', code: 'OUT_OF_RANGE', message: 'timestamp is in the future' });
     }
-  } catch (error) {
-    console.error('Cleanup hatası:', error);
+
+    if (errors.length > 0) return { point: null, errors };
+
+    return {
+      point: {
+        latitude: fields.latitude.value,
+        longitude: fields.longitude.value,
+        speed: fields.speed.value || 0,
+        heading: fields.heading.value || 0,
+        accuracy: fields.accuracy.value || 0,
+        timestamp,
+        batteryLevel: fields.batteryLevel.value
+      },
+      errors
+    };
   }
-}, CONFIG.CLEANUP_INTERVAL_MS);
 
-// ==================== STARTUP ====================
+  // Filtre: (point, previous) => { point } | { reject: { code, message } }
+  // previous: son kabul edilmiş konum (yoksa null)
+  const LOCATION_FILTERS = {
+    accuracy(point) {
+      if (point.accuracy > CONFIG.LOCATION_FILTER.MAX_ACCURACY_M) {
+        return { reject: { code: 'LOW_ACCURACY', message: `accuracy ${point.accuracy}m exceeds ${CONFIG.LOCATION_FILTER.MAX_ACCURACY_M}m` } };
+      }
+      return { point };
+    },
 
-async function startServer() {
-  try {
-    // Redis bağlantıları
-    await Promise.all([
-      pubClient.connect(),
-      subClient.connect(),
-      redis.connect()
-    ]);
+    maxSpeed(point, previous) {
+      if (!previous) return { point };
 
-    console.log('✅ Redis bağlantısı başarılı');
+      const elapsedMs = point.timestamp - previous.timestamp;
+      if (elapsedMs < 0) {
+        return { reject: { code: 'OUT_OF_ORDER', message: 'timestamp is older than the last accepted point' } };
+      }
 
-    // Socket.io Redis adapter
-    io.adapter(createAdapter(pubClient, subClient));
-    console.log('✅ Socket.io Redis Adapter aktif');
+      const distance = haversineDistance(previous.latitude, previous.longitude, point.latitude, point.longitude);
+      const impliedSpeed = distance / Math.max(elapsedMs / 1000, 1);
+      if (impliedSpeed > CONFIG.LOCATION_FILTER.MAX_SPEED_MPS) {
+        return { reject: { code: 'IMPOSSIBLE_JUMP', message: `${Math.round(distance)}m in ${elapsedMs}ms` } };
+      }
+      return { point };
+    },
+
+    // EMA yumuşatma
+    smoothing(point, previous) {
+      const { SMOOTHING_ALPHA: alpha, SMOOTHING_MAX_GAP_MS: maxGap } = CONFIG.LOCATION_FILTER;
+      if (!previous || point.timestamp - previous.timestamp > maxGap) return { point };
+
+      return {
+        point: {
+          ...point,
+          latitude: previous.latitude + alpha * (point.latitude - previous.latitude),
+          longitude: previous.longitude + alpha * (point.longitude - previous.longitude)
+        }
+      };
+    }
+  };
+
+  function runLocationPipeline(point, previous) {
+    const prev = isValidCoordinate(previous) && Number.isFinite(Number(previous.timestamp))
+      ? { ...previous, timestamp: Number(previous.timestamp) }
+      : null;
+
+    let current = point;
+    for (const name of CONFIG.LOCATION_FILTER.PIPELINE) {
+      const filter = LOCATION_FILTERS[name];
+      if (!filter) continue;
+
+      const result = filter(current, prev);
+      if (result.reject) return { rejected: result.reject };
+      current = result.point;
+    }
+    return { point: current };
+  }
+
+  // ==================== AUTH ====================
+
+  // Token claim'leri: { role: 'courier'|'pos'|'panel'|'admin', courierId?, branchIds: [...] | '*' }
+  // Müşteri paylaşım token'ı: { role: 'tracking', courierId, orderId, exp }
+  const ROLES = ['courier', 'pos', 'panel', 'admin', 'tracking'];
+
+  function base64UrlDecode(str) {
+    return Buffer.from(str.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8');
+  }
+
+  function base64UrlEncode(obj) {
+    return Buffer.from(JSON.stringify(obj)).toString('base64url');
+  }
+
+  function signToken(claims) {
+    const headerPart = base64UrlEncode({ alg: 'HS256', typ: 'JWT' });
+    const payloadPart = base64UrlEncode(claims);
+    const signature = crypto
+      .createHmac('sha256', CONFIG.AUTH_SECRET)
+      .update(`${headerPart}.${payloadPart}`)
+      .digest('base64url');
+    return `${headerPart}.${payloadPart}.${signature}`;
+  }
+
+  function verifyToken(token) {
+    if (typeof token !== 'string') return null;
+
+    const parts = token.split('.');
+    if (parts.length !== 3) return null;
+
+    const [headerPart, payloadPart, signaturePart] = parts;
+
+    try {
+      const header = JSON.parse(base64UrlDecode(headerPart));
+      if (header.alg !== 'HS256') return null;
+
+      const expected = crypto
+        .createHmac('sha256', CONFIG.AUTH_SECRET)
+        .update(`${headerPart}.${payloadPart}`)
+        .digest('base64url');
+
+      const a = Buffer.from(signaturePart);
+      const b = Buffer.from(expected);
+      if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return null;
+
+      const claims = JSON.parse(base64UrlDecode(payloadPart));
+      const now = Math.floor(Date.now() / 1000);
+      const tolerance = CONFIG.AUTH_CLOCK_TOLERANCE_SEC;
+
+      // Süresiz token kabul edilmez
+      if (typeof claims.exp !== 'number' || now > claims.exp + tolerance) return null;
+      if (typeof claims.nbf === 'number' && now < claims.nbf - tolerance) return null;
+      if (!ROLES.includes(claims.role)) return null;
+      if (claims.role === 'courier' && !claims.courierId) return null;
+      if (claims.role === 'tracking' && (!claims.courierId || !claims.orderId)) return null;
+
+      return {
+        role: claims.role,
+        subject: claims.sub ? String(claims.sub) : null,
+        courierId: claims.courierId ? String(claims.courierId) : null,
+        orderId: claims.orderId ? String(claims.orderId) : null,
+        exp: claims.exp,
+        branchIds: claims.branchIds === '*'
+          ? '*'
+          : (Array.isArray(claims.branchIds) ? claims.branchIds.map(String) : [])
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function canAccessBranch(auth, branchId) {
+    if (!auth || !branchId) return false;
+    if (auth.role === 'admin' || auth.branchIds === '*') return true;
+    return auth.branchIds.includes(String(branchId));
+  }
+
+  function isOwnCourier(auth, courierId) {
+    return !!auth && auth.role === 'courier' && auth.courierId === String(courierId);
+  }
+
+  function extractBearer(header) {
+    if (typeof header !== 'string') return null;
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1] : null;
+  }
+
+  // Express middleware
+  function requireAuth(...roles) {
+    return (req, res, next) => {
+      const auth = verifyToken(extractBearer(req.headers.authorization));
+      if (!auth) {
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
+      if (roles.length > 0 && !roles.includes(auth.role)) {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+      req.auth = auth;
+      next();
+    };
+  }
+
+  // Socket.io middleware
+  // Drain'deki instance'a gelen bağlantı reddedilir; istemci başka instance'a yönlenir
+  io.use((socket, next) => {
+    if (!draining) return next();
+    const err = new Error('Draining');
+    err.data = { message: 'Server is shutting down', retryAfterMs: CONFIG.SHUTDOWN.RECONNECT_JITTER_MS };
+    next(err);
+  });
+
+  io.use((socket, next) => {
+    const { auth: handshakeAuth, query, headers } = socket.handshake;
+    const token = (handshakeAuth && handshakeAuth.token) || query.token || extractBearer(headers.authorization);
+
+    const auth = verifyToken(token);
+    if (!auth) {
+      const err = new Error('Unauthorized');
+      err.data = { message: 'Invalid or missing token' };
+      return next(err);
+    }
+
+    // socket.data connection state recovery ile geri yüklenir
+    socket.data.auth = auth;
+    next();
+  });
+
+  // Handshake'te sürüm bildiren eski kurye uygulaması hiç bağlanamaz;
+  // bildirmeyen istemci courier:connect'te kontrol edilir
+  io.use(async (socket, next) => {
+    const { auth: handshakeAuth, query } = socket.handshake;
+    const appVersion = (handshakeAuth && handshakeAuth.appVersion) || query.appVersion;
+    const platform = (handshakeAuth && handshakeAuth.platform) || query.platform;
+    if (socket.data.auth.role !== 'courier' || !appVersion) return next();
+
+    try {
+      const policy = await getVersionPolicy(platform);
+      if (checkAppVersion(policy, appVersion) === 'required') {
+        const err = new Error('Update required');
+        err.data = versionNotice(policy, platform, appVersion);
+        return next(err);
+      }
+      next();
+    } catch (error) {
+      log.error('Sürüm kontrol edilemedi', { type: 'redis_error', socketId: socket.id, err: error });
+      next();
+    }
+  });
+
+  // REST ile aynı kural: X-Forwarded-For yalnız TRUST_PROXY'deki proxy'lerden okunur
+  function clientAddress(socket) {
+    return proxyaddr(socket.request, app.get('trust proxy fn'));
+  }
+
+  // ==================== KÖTÜYE KULLANIM KORUMASI ====================
+
+  // Limit ve ban anahtarı: token kimliği, yoksa IP (ör. 'courier:c1', 'ip:10.0.0.1')
+  function abuseSubject(auth, ip) {
+    if (auth && auth.courierId && auth.role === 'courier') return `courier:${auth.courierId}`;
+    if (auth && auth.orderId) return `tracking:${auth.orderId}`;
+    if (auth && auth.subject) return `${auth.role}:${auth.subject}`;
+    return `ip:${ip}`;
+  }
+
+  function subjectRoom(subject) {
+    return `abuse:${subject}`;
+  }
+
+  function scaledLimit(limit, role) {
+    const multiplier = CONFIG.ABUSE.ROLE_MULTIPLIERS[role] ?? 1;
+    return { capacity: limit.capacity * multiplier, refillPerSec: limit.refillPerSec * multiplier };
+  }
+
+  // buckets: [{ key, capacity, refillPerSec }]; Redis erişilemezse istek engellenmez
+  async function takeTokens(buckets, cost = 1) {
+    try {
+      const [allowed, retryAfterMs] = await timeRedis('takeTokens', () => redis.eval(TOKEN_BUCKET_SCRIPT, {
+        keys: buckets.map(bucket => CONFIG.KEYS.RATE_BUCKET + bucket.key),
+        arguments: [
+          String(Date.now()),
+          String(cost),
+          ...buckets.flatMap(bucket => [String(bucket.capacity), String(bucket.refillPerSec)])
+        ]
+      }));
+      return { allowed: allowed === 1, retryAfterMs };
+    } catch (error) {
+      log.error('Rate limit kontrol edilemedi', { type: 'redis_error', err: error });
+      return { allowed: true, retryAfterMs: 0 };
+    }
+  }
+
+  // Kalan ban süresi (ms), ban yoksa 0
+  async function getBan(subject) {
+    const ttl = await redis.ttl(CONFIG.KEYS.BANS + subject);
+    return ttl > 0 ? ttl * 1000 : 0;
+  }
+
+  // Pencere içinde eşiği aşan istemci banlanır; tüm instance'lardaki socket'leri kopar.
+  // Ban süresini (ms) döndürür, ban yoksa 0
+  async function recordViolation(subject, reason) {
+    const key = CONFIG.KEYS.ABUSE_STRIKES + subject;
+    const strikes = await redis.incr(key);
+    if (strikes === 1) {
+      await redis.expire(key, CONFIG.ABUSE.BAN_WINDOW_SEC);
+    }
+    if (strikes < CONFIG.ABUSE.BAN_THRESHOLD) return 0;
+
+    const durationSec = CONFIG.ABUSE.BAN_DURATION_SEC;
+    await redis.multi()
+      .set(CONFIG.KEYS.BANS + subject, JSON.stringify({ reason, strikes, bannedAt: new Date().toISOString() }), { EX: durationSec })
+      .del(key)
+      .exec();
+
+    promMetrics.bans.inc();
+    log.warn('İstemci banlandı', { type: 'client_banned', subject, event: reason, strikes, durationSec });
+
+    io.in(subjectRoom(subject)).emit('rate_limited', { event: reason, retryAfterMs: durationSec * 1000, banned: true });
+    io.in(subjectRoom(subject)).disconnectSockets(true);
+    return durationSec * 1000;
+  }
+
+  // socket.use: socket + event ve istemci kovası; aşılırsa event işlenmez, istemciye rate_limited gider
+  function socketRateLimiter(socket, subject) {
+    return async ([event], next) => {
+      if (!CONFIG.ABUSE.ENABLED) return next();
+
+      // Bilinmeyen event adları tek kovada: anahtar sayısı sınırlı kalır
+      const name = CONFIG.ABUSE.EVENTS[event] ? event : 'default';
+      const buckets = [{ key: `client:${subject}`, ...CONFIG.ABUSE.SOCKET_CLIENT }];
+      if (event !== 'courier:location') {
+        buckets.push({ key: `socket:${socket.id}:${name}`, ...scaledLimit(CONFIG.ABUSE.EVENTS[name], socket.data.auth.role) });
+      }
+      const { allowed, retryAfterMs } = await takeTokens(buckets);
+      if (allowed) return next();
+
+      promMetrics.rateLimited.inc({ event: name });
+      socket.log.warn('Event limit aşıldı', { type: 'rate_limited', scope: 'socket', event, subject, retryAfterMs });
+      try {
+        if (await recordViolation(subject, event) > 0) return;
+      } catch (error) {
+        socket.log.error('Ban kaydedilemedi', { type: 'redis_error', event, err: error });
+      }
+      socket.emit('rate_limited', { event, retryAfterMs, banned: false });
+    };
+  }
+
+  // Banlı istemci bağlanamaz
+  io.use(async (socket, next) => {
+    try {
+      const retryAfterMs = await getBan(abuseSubject(socket.data.auth, clientAddress(socket)));
+      if (retryAfterMs > 0) {
+        const err = new Error('Banned');
+        err.data = { message: 'Temporarily banned', retryAfterMs };
+        return next(err);
+      }
+      next();
+    } catch (error) {
+      log.error('Ban kontrol edilemedi', { type: 'redis_error', socketId: socket.id, err: error });
+      next();
+    }
+  });
+
+  // Süresi dolan kiraları atar, limit altındaysa socket'i ekler (atomik)
+  // KEYS: IP'nin kira seti; ARGV: now, kira bitişi, limit, socketId, kira süresi (ms)
+  const CONNECTION_LEASE_SCRIPT = `
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', ARGV[1])
+if redis.call('ZCARD', KEYS[1]) >= tonumber(ARGV[3]) then
+  return 0
+end
+redis.call('ZADD', KEYS[1], ARGV[2], ARGV[4])
+redis.call('PEXPIRE', KEYS[1], ARGV[5])
+return 1
+`;
+
+  // IP başına bağlantı limiti (tüm instance'lar); kira disconnect'te silinir,
+  // bağlı socket'lerinki keepalive ile uzar. Reddedilen handshake disconnect
+  // üretmediğinden bu middleware en sonda kalmalı: kira alındıktan sonra ret olmaz
+  io.use(async (socket, next) => {
+    const key = CONFIG.KEYS.CONNECTIONS + clientAddress(socket);
+    try {
+      const now = Date.now();
+      const leaseMs = CONFIG.TTL.CONNECTIONS * 1000;
+      const accepted = await redis.eval(CONNECTION_LEASE_SCRIPT, {
+        keys: [key],
+        arguments: [String(now), String(now + leaseMs), String(CONFIG.MAX_CONNECTIONS_PER_IP), socket.id, String(leaseMs)]
+      });
+
+      if (accepted !== 1) {
+        const err = new Error('Too many connections');
+        err.data = { message: `At most ${CONFIG.MAX_CONNECTIONS_PER_IP} connections per IP` };
+        return next(err);
+      }
+
+      socket.data.connectionKey = key;
+      next();
+    } catch (error) {
+      // Redis erişilemezse bağlantı engellenmez
+      log.error('Bağlantı limiti kontrol edilemedi', { type: 'redis_error', socketId: socket.id, err: error });
+      next();
+    }
+  });
+
+  // REST: istemci + rol başına kova; health/metrics hariç. req.ip TRUST_PROXY'ye göre çözülür
+  app.use(async (req, res, next) => {
+    if (!CONFIG.ABUSE.ENABLED || CONFIG.ABUSE.HTTP_EXEMPT.includes(req.path)) return next();
+
+    try {
+      const auth = verifyToken(extractBearer(req.headers.authorization));
+      const role = auth ? auth.role : 'anonymous';
+      const subject = abuseSubject(auth, req.ip);
+      let retryAfterMs = await getBan(subject);
+      let banned = retryAfterMs > 0;
+
+      if (!banned) {
+        const result = await takeTokens([{ key: `http:${role}:${subject}`, ...scaledLimit(CONFIG.ABUSE.HTTP, role) }]);
+        if (result.allowed) return next();
+
+        promMetrics.rateLimited.inc({ event: 'http' });
+        req.log.warn('HTTP limit aşıldı', { type: 'rate_limited', scope: 'http', event: `${req.method} ${req.path}`, subject, role });
+        const banMs = await recordViolation(subject, 'http');
+        banned = banMs > 0;
+        retryAfterMs = banned ? banMs : result.retryAfterMs;
+      }
+
+      res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+      res.status(429).json({ error: 'Too many requests', retryAfterMs, banned });
+    } catch (error) {
+      req.log.error('HTTP rate limit kontrol edilemedi', { type: 'redis_error', err: error });
+      next();
+    }
+  });
+
+  app.get('/admin/bans', requireAuth('admin'), async (req, res) => {
+    try {
+      const bans = [];
+      for await (const key of redis.scanIterator({ MATCH: CONFIG.KEYS.BANS + '*', COUNT: 500 })) {
+        const [value, ttl] = await Promise.all([redis.get(key), redis.ttl(key)]);
+        if (!value) continue;
+        bans.push({ subject: key.slice(CONFIG.KEYS.BANS.length), ...JSON.parse(value), expiresInSec: ttl });
+      }
+      res.json(bans);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.delete('/admin/bans/:subject', requireAuth('admin'), async (req, res) => {
+    try {
+      const { subject } = req.params;
+      const removed = await redis.del([CONFIG.KEYS.BANS + subject, CONFIG.KEYS.ABUSE_STRIKES + subject]);
+      if (!removed) {
+        return res.status(404).json({ error: 'Ban not found' });
+      }
+
+      await recordAudit(req, 'ban.remove', { subject });
+      res.status(204).end();
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // ==================== HEALTH CHECK ENDPOINTS ====================
+
+  app.get('/', async (req, res) => {
+    try {
+      const activeCouriers = await getActiveCourierCount();
+      const globalMetrics = await getGlobalMetrics();
+      const uptime = Math.floor((Date.now() - localMetrics.startTime) / 1000);
+
+      res.json({
+        status: 'ok',
+        service: 'YemiGO Courier Socket Server',
+        version: '3.0.0 (Redis Cluster)',
+        instance: localMetrics.instanceId,
+        uptime: `${Math.floor(uptime / 3600)}h ${Math.floor((uptime % 3600) / 60)}m`,
+        activeCouriers,
+        redis: 'connected',
+        capacity: '10,000+ couriers',
+        metrics: {
+          global: globalMetrics,
+          instance: {
+            connections: localMetrics.connections,
+            locationsReceived: localMetrics.locationsReceived
+          }
+        }
+      });
+    } catch (error) {
+      res.status(500).json({ status: 'error', message: error.message });
+    }
+  });
+
+  app.get('/health', async (req, res) => {
+    // Load balancer drain'deki instance'a yeni trafik yönlendirmez
+    if (draining) {
+      return res.status(503).json({
+        status: 'draining',
+        timestamp: new Date().toISOString(),
+        instance: localMetrics.instanceId,
+        socketConnections: io.engine.clientsCount
+      });
+    }
+
+    try {
+      // Redis ping
+      await redis.ping();
+      const memUsage = process.memoryUsage();
+
+      res.json({
+        status: 'healthy',
+        timestamp: new Date().toISOString(),
+        instance: localMetrics.instanceId,
+        redis: 'connected',
+        memory: {
+          heapUsed: `${Math.round(memUsage.heapUsed / 1024 / 1024)}MB`,
+          heapTotal: `${Math.round(memUsage.heapTotal / 1024 / 1024)}MB`,
+          rss: `${Math.round(memUsage.rss / 1024 / 1024)}MB`
+        },
+        socketConnections: io.engine.clientsCount
+      });
+    } catch (error) {
+      res.status(500).json({ status: 'unhealthy', error: error.message });
+    }
+  });
+
+  // ?offset=&limit= ; toplam sayı X-Total-Count header'ında
+  function parsePagination(query) {
+    const offset = Math.max(parseInt(query.offset) || 0, 0);
+    const limit = Math.min(Math.max(parseInt(query.limit) || CONFIG.DEFAULT_PAGE_SIZE, 1), CONFIG.MAX_PAGE_SIZE);
+    return { offset, limit };
+  }
+
+  app.get('/couriers', requireAuth('pos', 'panel', 'admin'), async (req, res) => {
+    try {
+      const { offset, limit } = parsePagination(req.query);
+      let total;
+      let couriers;
+
+      if (req.auth.role === 'admin' || req.auth.branchIds === '*') {
+        ({ total, couriers } = await getAllCouriers({ offset, limit }));
+      } else {
+        // Yetkili şubelerin set'leri üzerinden (şube başına en fazla MAX_COURIERS_PER_BRANCH);
+        // toplam yalnızca kaydı duran kuryeleri sayar, hash'ler sadece sayfa için okunur
+        const branchCouriers = await Promise.all(req.auth.branchIds.map(id => getBranchCouriers(id)));
+        const courierIds = await filterExistingCouriers([...new Set(branchCouriers.flat())].sort());
+        total = courierIds.length;
+        couriers = await getCouriers(courierIds.slice(offset, offset + limit));
+      }
+
+      const now = Date.now();
+      const result = couriers.map(c => ({
+        ...c,
+        isOnline: (now - new Date(c.lastUpdate).getTime()) < CONFIG.COURIER_TIMEOUT_MS
+      }));
+
+      res.set('X-Total-Count', String(total));
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.get('/branch/:branchId/couriers', requireAuth('pos', 'panel', 'admin'), async (req, res) => {
+    try {
+      const { branchId } = req.params;
+      if (!canAccessBranch(req.auth, branchId)) {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+
+      const statuses = parseStatusFilter(req.query.status);
+      if (statuses === false) {
+        return res.status(400).json({ error: `status must be one of: ${COURIER_STATUSES.join(', ')}` });
+      }
+
+      const { total, couriers } = await getBranchCourierList(branchId, { ...parsePagination(req.query), statuses });
+
+      res.set('X-Total-Count', String(total));
+      res.json(couriers);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // ==================== KONUM GEÇMİŞİ ====================
+
+  function parseTimeParam(value, fallback) {
+    if (value === undefined || value === '') return fallback;
+    const ms = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    return Number.isFinite(ms) ? ms : NaN;
+  }
+
+  function escapeXml(str) {
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  function trailToGeoJSON(courierId, points) {
+    return {
+      type: 'Feature',
+      geometry: {
+        type: 'LineString',
+        coordinates: points.map(p => [p.longitude, p.latitude])
+      },
+      properties: {
+        courierId,
+        timestamps: points.map(p => new Date(p.timestamp).toISOString()),
+        speeds: points.map(p => p.speed)
+      }
+    };
+  }
+
+  function trailToGPX(courierId, points) {
+    const trkpts = points.map(p =>
+      `      <trkpt lat="${p.latitude}" lon="${p.longitude}"><time>${new Date(p.timestamp).toISOString()}</time></trkpt>`
+    ).join('\n');
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<gpx version="1.1" creator="YemiGO Courier Socket" xmlns="http://www.topografix.com/GPX/1/1">',
+      '  <trk>',
+      `    <name>${escapeXml(courierId)}</name>`,
+      '    <trkseg>',
+      trkpts,
+      '    </trkseg>',
+      '  </trk>',
+      '</gpx>'
+    ].join('\n');
+  }
+
+  app.get('/couriers/:courierId/history', requireAuth('pos', 'panel', 'admin'), async (req, res) => {
+    try {
+      const { courierId } = req.params;
+      const format = req.query.format || 'json';
+      const to = parseTimeParam(req.query.to, Date.now());
+      const from = parseTimeParam(req.query.from, to - 24 * 3600 * 1000);
+
+      if (Number.isNaN(from) || Number.isNaN(to) || from > to) {
+        return res.status(400).json({ error: 'Invalid from/to range' });
+      }
+      if (!['json', 'geojson', 'gpx'].includes(format)) {
+        return res.status(400).json({ error: 'Invalid format (json, geojson, gpx)' });
+      }
+
+      // Her nokta yazıldığı şubeyi taşır, sadece yetkili şubelerin noktaları döner
+      const trail = await getTrail(courierId, from, to);
+      const points = trail.points.filter(p => canAccessBranch(req.auth, p.branchId));
+
+      res.set('X-Truncated', String(trail.truncated));
+      if (format === 'geojson') {
+        return res.type('application/geo+json').send(JSON.stringify(trailToGeoJSON(courierId, points)));
+      }
+      if (format === 'gpx') {
+        return res.type('application/gpx+xml').send(trailToGPX(courierId, points));
+      }
+
+      res.json({
+        courierId,
+        from: new Date(from).toISOString(),
+        to: new Date(to).toISOString(),
+        count: points.length,
+        truncated: trail.truncated,
+        points
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // ==================== GEOFENCE ====================
+
+  const GEOFENCE_TYPES = ['restaurant', 'delivery_zone', 'no_go'];
+
+  function isValidCoordinate(point) {
+    return !!point &&
+      Number.isFinite(point.latitude) && Math.abs(point.latitude) <= 90 &&
+      Number.isFinite(point.longitude) && Math.abs(point.longitude) <= 180;
+  }
+
+  // Hata mesajı veya normalize edilmiş fence döner
+  function parseGeofence(body) {
+    const { name, type, shape, center, radius, polygon } = body || {};
+
+    if (!name || typeof name !== 'string') return { error: 'name is required' };
+    if (!GEOFENCE_TYPES.includes(type)) return { error: `type must be one of: ${GEOFENCE_TYPES.join(', ')}` };
+
+    if (shape === 'circle') {
+      if (!isValidCoordinate(center)) return { error: 'circle requires a valid center' };
+      if (!Number.isFinite(radius) || radius <= 0) return { error: 'circle requires a positive radius (meters)' };
+      return {
+        fence: {
+          name, type, shape,
+          center: { latitude: center.latitude, longitude: center.longitude },
+          radius
+        }
+      };
+    }
+
+    if (shape === 'polygon') {
+      if (!Array.isArray(polygon) || polygon.length < 3 || !polygon.every(isValidCoordinate)) {
+        return { error: 'polygon requires at least 3 valid points' };
+      }
+      return {
+        fence: {
+          name, type, shape,
+          polygon: polygon.map(p => ({ latitude: p.latitude, longitude: p.longitude }))
+        }
+      };
+    }
+
+    return { error: 'shape must be circle or polygon' };
+  }
+
+  function isInsideGeofence(fence, latitude, longitude) {
+    if (fence.shape === 'circle') {
+      return haversineDistance(latitude, longitude, fence.center.latitude, fence.center.longitude) <= fence.radius;
+    }
+    return isPointInPolygon(latitude, longitude, fence.polygon);
+  }
+
+  async function getGeofences(branchId) {
+    const data = await redis.hGetAll(CONFIG.KEYS.GEOFENCES + branchId);
+    return Object.values(data || {}).map(v => JSON.parse(v));
+  }
+
+  async function getGeofence(branchId, fenceId) {
+    const value = await redis.hGet(CONFIG.KEYS.GEOFENCES + branchId, fenceId);
+    return value ? JSON.parse(value) : null;
+  }
+
+  async function saveGeofence(branchId, fence) {
+    await redis.hSet(CONFIG.KEYS.GEOFENCES + branchId, fence.id, JSON.stringify(fence));
+  }
+
+  async function deleteGeofence(branchId, fenceId) {
+    return await redis.hDel(CONFIG.KEYS.GEOFENCES + branchId, fenceId);
+  }
+
+  // State şube bazında tutulur; şube değişince eski şubenin state'i ayrı kalır
+  function geofenceStateKey(branchId, courierId) {
+    return `${CONFIG.KEYS.GEOFENCE_STATE}${branchId}:${courierId}`;
+  }
+
+  function geofenceEventBase(courierId, courier, branchId, location) {
+    return {
+      courierId,
+      name: courier.name,
+      branchId,
+      latitude: location ? location.latitude : null,
+      longitude: location ? location.longitude : null,
+      timestamp: new Date(Number(location && location.timestamp) || Date.now()).toISOString()
+    };
+  }
+
+  function emitGeofenceEvent(event, base, fence) {
+    io.to(`branch:${base.branchId}`).emit(event, {
+      ...base,
+      fenceId: fence.id,
+      fenceName: fence.name,
+      fenceType: fence.type
+    });
+  }
+
+  // Konumu şubenin fence'leriyle karşılaştırır, sınır geçişlerinde şubeye bildirir
+  // Önceki state ile karşılaştırıp yenisini yazar (atomik); eşzamanlı iki konum
+  // aynı girişi/çıkışı iki kez üretmez. Silinmiş fence'ler state'ten düşer.
+  // KEYS: state seti; ARGV: TTL, ardından şu an içinde olunan fence id'leri
+  // Dönüş: { girilen id'ler, çıkılan id'ler }
+  const GEOFENCE_TRANSITION_SCRIPT = `
+local inside = {}
+for i = 2, #ARGV do inside[ARGV[i]] = true end
+
+local was = {}
+local exited = {}
+for _, id in ipairs(redis.call('SMEMBERS', KEYS[1])) do
+  was[id] = true
+  if not inside[id] then table.insert(exited, id) end
+end
+
+local entered = {}
+for i = 2, #ARGV do
+  if not was[ARGV[i]] then table.insert(entered, ARGV[i]) end
+end
+
+redis.call('DEL', KEYS[1])
+for i = 2, #ARGV do redis.call('SADD', KEYS[1], ARGV[i]) end
+if #ARGV > 1 then redis.call('EXPIRE', KEYS[1], ARGV[1]) end
+
+return { entered, exited }
+`;
+
+  async function evaluateGeofences(courierId, courier, location) {
+    const { branchId } = courier;
+    const fences = await getGeofences(branchId);
+    const current = fences
+      .filter(f => isInsideGeofence(f, location.latitude, location.longitude))
+      .map(f => f.id);
+
+    const [entered, exited] = await redis.eval(GEOFENCE_TRANSITION_SCRIPT, {
+      keys: [geofenceStateKey(branchId, courierId)],
+      arguments: [String(CONFIG.TTL.GEOFENCE_STATE), ...current]
+    });
+    if (entered.length === 0 && exited.length === 0) return;
+
+    const base = geofenceEventBase(courierId, courier, branchId, location);
+    for (const fence of fences) {
+      if (entered.includes(fence.id)) {
+        emitGeofenceEvent('courier:geofence:enter', base, fence);
+      } else if (exited.includes(fence.id)) {
+        emitGeofenceEvent('courier:geofence:exit', base, fence);
+      }
+    }
+  }
+
+  // Şubeden ayrılan kurye eski şubenin içinde olduğu fence'lerden çıkmış sayılır
+  async function exitBranchGeofences(courierId, courier, fromBranchId) {
+    const stateKey = geofenceStateKey(fromBranchId, courierId);
+    const [inside] = await redis.multi().sMembers(stateKey).del(stateKey).exec();
+    if (!inside || inside.length === 0) return;
+
+    const base = geofenceEventBase(courierId, courier, fromBranchId, courier.location);
+    for (const fence of await getGeofences(fromBranchId)) {
+      if (inside.includes(fence.id)) {
+        emitGeofenceEvent('courier:geofence:exit', base, fence);
+      }
+    }
+  }
+
+  app.get('/branch/:branchId/geofences', requireAuth('pos', 'panel', 'admin'), async (req, res) => {
+    try {
+      const { branchId } = req.params;
+      if (!canAccessBranch(req.auth, branchId)) {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+
+      res.json(await getGeofences(branchId));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.get('/branch/:branchId/geofences/:fenceId', requireAuth('pos', 'panel', 'admin'), async (req, res) => {
+    try {
+      const { branchId, fenceId } = req.params;
+      if (!canAccessBranch(req.auth, branchId)) {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+
+      const fence = await getGeofence(branchId, fenceId);
+      if (!fence) {
+        return res.status(404).json({ error: 'Geofence not found' });
+      }
+      res.json(fence);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.post('/branch/:branchId/geofences', requireAuth('panel', 'admin'), async (req, res) => {
+    try {
+      const { branchId } = req.params;
+      if (!canAccessBranch(req.auth, branchId)) {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+
+      const { fence, error } = parseGeofence(req.body);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const now = new Date().toISOString();
+      const saved = { id: crypto.randomUUID(), branchId, ...fence, createdAt: now, updatedAt: now };
+      await saveGeofence(branchId, saved);
+
+      res.status(201).json(saved);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.put('/branch/:branchId/geofences/:fenceId', requireAuth('panel', 'admin'), async (req, res) => {
+    try {
+      const { branchId, fenceId } = req.params;
+      if (!canAccessBranch(req.auth, branchId)) {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+
+      const existing = await getGeofence(branchId, fenceId);
+      if (!existing) {
+        return res.status(404).json({ error: 'Geofence not found' });
+      }
+
+      const { fence, error } = parseGeofence(req.body);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const saved = {
+        id: fenceId,
+        branchId,
+        ...fence,
+        createdAt: existing.createdAt,
+        updatedAt: new Date().toISOString()
+      };
+      await saveGeofence(branchId, saved);
+
+      res.json(saved);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.delete('/branch/:branchId/geofences/:fenceId', requireAuth('panel', 'admin'), async (req, res) => {
+    try {
+      const { branchId, fenceId } = req.params;
+      if (!canAccessBranch(req.auth, branchId)) {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+
+      const removed = await deleteGeofence(branchId, fenceId);
+      if (!removed) {
+        return res.status(404).json({ error: 'Geofence not found' });
+      }
+      res.status(204).end();
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.get('/metrics/prometheus', async (req, res) => {
+    try {
+      res.set('Content-Type', promRegistry.contentType);
+      res.end(await promRegistry.metrics());
+    } catch (error) {
+      res.status(500).end(error.message);
+    }
+  });
+
+  app.get('/metrics', async (req, res) => {
+    try {
+      const globalMetrics = await getGlobalMetrics();
+      const activeCouriers = await getActiveCourierCount();
+
+      res.json({
+        global: globalMetrics,
+        instance: localMetrics,
+        activeCouriers,
+        memoryUsage: process.memoryUsage(),
+        uptime: Date.now() - localMetrics.startTime
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // ==================== KURYE DURUMU ====================
+
+  const COURIER_STATUSES = ['available', 'busy', 'on_break', 'returning'];
+
+  // durum -> geçebileceği durumlar
+  const COURIER_STATUS_TRANSITIONS = {
+    available: ['busy', 'on_break'],
+    busy: ['returning', 'available'],
+    returning: ['available', 'busy', 'on_break'],
+    on_break: ['available']
+  };
+
+  // "a,b" veya ['a','b'] -> dizi; boşsa null, geçersizse false
+  function parseStatusFilter(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const statuses = (Array.isArray(value) ? value : String(value).split(',')).map(s => String(s).trim());
+    return statuses.every(s => COURIER_STATUSES.includes(s)) ? statuses : false;
+  }
+
+  // Hash düşmüşse alan yazılmaz (TTL'siz yarım kayıt oluşmasın); 1 veya 0 döner
+  const HSET_IF_EXISTS_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 0 then return 0 end
+redis.call('HSET', KEYS[1], ARGV[1], ARGV[2])
+return 1
+`;
+
+  // Geçişi doğrular, kaydeder ve şubeye bildirir; { courier } veya { error } döner.
+  // Sadece status alanı yazılır; aynı anda gelen konum güncellemesi ezilmez.
+  async function changeCourierStatus(courierId, courier, status, reason) {
+    const previousStatus = courier.status;
+    if (previousStatus === status) return { courier };
+
+    if (!(COURIER_STATUS_TRANSITIONS[previousStatus] || []).includes(status)) {
+      return { error: `Invalid status transition ${previousStatus} -> ${status}` };
+    }
+
+    const written = await redis.eval(HSET_IF_EXISTS_SCRIPT, {
+      keys: [CONFIG.KEYS.COURIER + courierId],
+      arguments: ['status', status]
+    });
+    if (!written) {
+      return { error: 'Courier not registered. Please reconnect.' };
+    }
+    const updated = { ...courier, status };
+
+    io.to(`branch:${courier.branchId}`).emit('courier:status', {
+      courierId,
+      name: courier.name,
+      status,
+      previousStatus,
+      reason: reason || null,
+      timestamp: new Date().toISOString()
+    });
+
+    return { courier: updated };
+  }
+
+  // ==================== SİPARİŞ DURUM MAKİNESİ ====================
+
+  // event -> { from: izinli önceki durumlar, to: yeni durum, timestampField }
+  const ORDER_TRANSITIONS = {
+    'order:assign': { from: [null, 'assigned'], to: 'assigned', timestampField: 'assignedAt' },
+    'order:accept': { from: ['assigned'], to: 'accepted', timestampField: 'acceptedAt' },
+    'order:pickup': { from: ['accepted'], to: 'picked_up', timestampField: 'pickedUpAt' },
+    'order:delivered': { from: ['picked_up'], to: 'delivered', timestampField: 'deliveredAt' }
+  };
+
+  const ORDER_FINAL_STATUSES = ['delivered'];
+
+  async function getOrder(orderId) {
+    const data = await redis.hGetAll(CONFIG.KEYS.ORDER + orderId);
+    if (!data || Object.keys(data).length === 0) return null;
+
+    return {
+      ...data,
+      destination: data.destination ? JSON.parse(data.destination) : null
+    };
+  }
+
+  async function saveOrder(order) {
+    const key = CONFIG.KEYS.ORDER + order.orderId;
+    await redis.hSet(key, {
+      ...order,
+      destination: JSON.stringify(order.destination || null),
+      updatedAt: new Date().toISOString()
+    });
+    await redis.expire(key, CONFIG.TTL.ORDER);
+  }
+
+  async function getCourierOrders(courierId) {
+    const orderIds = await redis.sMembers(CONFIG.KEYS.COURIER_ORDERS + courierId);
+    const orders = [];
+
+    for (const orderId of orderIds) {
+      const order = await getOrder(orderId);
+      if (order && !ORDER_FINAL_STATUSES.includes(order.status)) {
+        orders.push(order);
+      } else {
+        // Süresi dolmuş / tamamlanmış kayıtları temizle
+        await redis.sRem(CONFIG.KEYS.COURIER_ORDERS + courierId, orderId);
+      }
+    }
+
+    return orders;
+  }
+
+  async function linkOrderToCourier(courierId, orderId) {
+    const key = CONFIG.KEYS.COURIER_ORDERS + courierId;
+    etaTargets.delete(courierId);
+    await redis.sAdd(key, orderId);
+    await redis.expire(key, CONFIG.TTL.ORDER);
+  }
+
+  async function unlinkOrderFromCourier(courierId, orderId) {
+    etaTargets.delete(courierId);
+    await redis.sRem(CONFIG.KEYS.COURIER_ORDERS + courierId, orderId);
+  }
+
+  // Geçişi doğrular ve uygular; { order } veya { error } döner
+  async function transitionOrder(event, orderId, existing, changes = {}) {
+    const transition = ORDER_TRANSITIONS[event];
+    const currentStatus = existing ? existing.status : null;
+
+    if (!transition.from.includes(currentStatus)) {
+      return { error: `Invalid transition ${currentStatus || 'none'} -> ${transition.to}`, order: existing };
+    }
+
+    const order = {
+      ...(existing || { orderId }),
+      ...changes,
+      status: transition.to,
+      [transition.timestampField]: new Date().toISOString()
+    };
+
+    await saveOrder(order);
+    etaTargets.delete(order.courierId);
+
+    if (ORDER_FINAL_STATUSES.includes(order.status)) {
+      await unlinkOrderFromCourier(order.courierId, orderId);
+    }
+
+    return { order };
+  }
+
+  function broadcastOrderStatus(order) {
+    io.to(`branch:${order.branchId}`).emit('order:status', {
+      ...order,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // ==================== MÜŞTERİ CANLI TAKİP ====================
+
+  function trackingCourierRoom(courierId) {
+    return `tracking:courier:${courierId}`;
+  }
+
+  function trackingOrderRoom(orderId) {
+    return `tracking:order:${orderId}`;
+  }
+
+  function roundCoordinate(value) {
+    const factor = 10 ** CONFIG.TRACKING.PRECISION;
+    return Math.round(Number(value) * factor) / factor;
+  }
+
+  // Müşteriye giden konum: düşük hassasiyet, gecikmeli, kurye detayları yok
+  function emitTrackingUpdate(target, courierId, location) {
+    const payload = {
+      courierId,
+      latitude: roundCoordinate(location.latitude),
+      longitude: roundCoordinate(location.longitude),
+      heading: location.heading || 0,
+      timestamp: location.timestamp || Date.now()
+    };
+
+    emitTrackingDelayed(target, 'courier:location:update', payload);
+  }
+
+  // Müşteriye giden her şey aynı gecikmeyle gider; bekleyenler kapanışı bekletmez
+  function emitTrackingDelayed(target, event, payload) {
+    setTimeout(() => target.emit(event, payload), CONFIG.TRACKING.DELAY_MS).unref();
+  }
+
+  // Teslimat bitti / yeniden atandı: aboneleri tüm instance'larda odadan çıkar
+  function endTracking(order, reason) {
+    const orderRoom = trackingOrderRoom(order.orderId);
+
+    io.to(orderRoom).emit('tracking:ended', {
+      orderId: order.orderId,
+      reason,
+      timestamp: new Date().toISOString()
+    });
+    io.in(orderRoom).socketsLeave([trackingCourierRoom(order.courierId), orderRoom]);
+  }
+
+  app.post('/orders/:orderId/share', requireAuth('pos', 'panel', 'admin'), async (req, res) => {
+    try {
+      const order = await getOrder(req.params.orderId);
+      if (!order) {
+        return res.status(404).json({ error: 'Order not found' });
+      }
+      if (!canAccessBranch(req.auth, order.branchId)) {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+      if (ORDER_FINAL_STATUSES.includes(order.status)) {
+        return res.status(409).json({ error: 'Order already completed' });
+      }
+
+      const exp = Math.floor(Date.now() / 1000) + CONFIG.TRACKING.SHARE_TOKEN_TTL_SEC;
+      const token = signToken({
+        role: 'tracking',
+        courierId: order.courierId,
+        orderId: order.orderId,
+        exp
+      });
+
+      res.status(201).json({ token, expiresAt: new Date(exp * 1000).toISOString() });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // ==================== ETA ====================
+
+  // Son konumlardan EMA ile yumuşatılmış hız (m/s); cihaz hızı yoksa ardışık noktalardan türetilir
+  async function getSmoothedSpeed(courierId) {
+    const raw = await redis.lRange(CONFIG.KEYS.LOCATION_HISTORY + courierId, 0, CONFIG.ETA.SAMPLE_SIZE - 1);
+    const points = raw.map(v => JSON.parse(v)).reverse(); // Eskiden yeniye
+
+    let smoothed = null;
+    for (let i = 0; i < points.length; i++) {
+      const point = points[i];
+      let speed = Number(point.speed) > 0 ? Number(point.speed) : null;
+
+      if (speed === null && i > 0) {
+        const prev = points[i - 1];
+        const gapMs = point.timestamp - prev.timestamp;
+        const seconds = gapMs / 1000;
+        if (gapMs >= CONFIG.ETA.MIN_SAMPLE_GAP_MS) {
+          speed = haversineDistance(prev.latitude, prev.longitude, point.latitude, point.longitude) / seconds;
+        }
+      }
+
+      if (speed === null || !Number.isFinite(speed)) continue;
+      smoothed = smoothed === null
+        ? speed
+        : CONFIG.ETA.SMOOTHING_ALPHA * speed + (1 - CONFIG.ETA.SMOOTHING_ALPHA) * smoothed;
+    }
+
+    return smoothed;
+  }
+
+  // Hedef: teslim alınmış sipariş öncelikli, yoksa hedefi olan ilk aktif sipariş
+  async function getCourierDestination(courierId) {
+    const orders = (await getCourierOrders(courierId)).filter(o => isValidCoordinate(o.destination));
+    const order = orders.find(o => o.status === 'picked_up') || orders[0];
+    return order ? { orderId: order.orderId, destination: order.destination } : null;
+  }
+
+  // courierId -> { target, expiresAt }; bu instance'taki sipariş değişikliklerinde silinir,
+  // diğer instance'lardaki değişiklikler en geç TARGET_CACHE_MS sonra yansır
+  const etaTargets = new Map();
+
+  async function getCachedDestination(courierId) {
+    const cached = etaTargets.get(courierId);
+    if (cached && cached.expiresAt > Date.now()) return cached.target;
+
+    const target = await getCourierDestination(courierId);
+    etaTargets.set(courierId, { target, expiresAt: Date.now() + CONFIG.ETA.TARGET_CACHE_MS });
+    return target;
+  }
+
+  // Süresi geçmiş hedefler periyodik olarak atılır; konum göndermeyi bırakmış
+  // kuryelerin kayıtları Map'te birikmez
+  function pruneEtaTargets(now = Date.now()) {
+    for (const [courierId, cached] of etaTargets) {
+      if (cached.expiresAt <= now) etaTargets.delete(courierId);
+    }
+  }
+
+  // target verilmezse aktif siparişlerden bulunur
+  async function getCourierEta(courierId, courier, target) {
+    if (!courier || !isValidCoordinate(courier.location)) return null;
+
+    target = target === undefined ? await getCourierDestination(courierId) : target;
+    if (!target) return null;
+
+    const { latitude, longitude } = courier.location;
+    const distance = haversineDistance(latitude, longitude, target.destination.latitude, target.destination.longitude) *
+      CONFIG.ETA.ROUTE_FACTOR;
+    const smoothedSpeed = await getSmoothedSpeed(courierId);
+    const speed = Math.max(smoothedSpeed || 0, CONFIG.ETA.MIN_SPEED_MPS);
+    const etaSeconds = Math.round(distance / speed);
+
+    return {
+      courierId,
+      orderId: target.orderId,
+      destination: target.destination,
+      distanceMeters: Math.round(distance),
+      speedMps: Math.round(speed * 100) / 100,
+      etaSeconds,
+      eta: new Date(Date.now() + etaSeconds * 1000).toISOString(),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  async function broadcastEta(courierId, courier, location) {
+    const target = await getCachedDestination(courierId);
+    if (!target) return;
+
+    const eta = await getCourierEta(courierId, { ...courier, location }, target);
+    if (!eta) return;
+
+    io.to(`branch:${courier.branchId}`).emit('courier:eta', eta);
+    emitTrackingDelayed(io.to(trackingOrderRoom(eta.orderId)), 'courier:eta', {
+      orderId: eta.orderId,
+      distanceMeters: eta.distanceMeters,
+      etaSeconds: eta.etaSeconds,
+      eta: eta.eta
+    });
+  }
+
+  app.get('/couriers/:courierId/eta', requireAuth('pos', 'panel', 'admin'), async (req, res) => {
+    try {
+      const { courierId } = req.params;
+      const courier = await getCourier(courierId);
+      if (!courier) {
+        return res.status(404).json({ error: 'Courier not found' });
+      }
+      if (!canAccessBranch(req.auth, courier.branchId)) {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+
+      let destinationOverride = null;
+      if (req.query.lat !== undefined || req.query.lng !== undefined) {
+        destinationOverride = { latitude: Number(req.query.lat), longitude: Number(req.query.lng) };
+        if (!isValidCoordinate(destinationOverride)) {
+          return res.status(400).json({ error: 'Invalid lat/lng' });
+        }
+      }
+
+      const eta = await getCourierEta(courierId, courier, destinationOverride ? { orderId: null, destination: destinationOverride } : undefined);
+      if (!eta) {
+        return res.status(404).json({ error: 'No location or active destination' });
+      }
+      res.json(eta);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // ==================== İSTATİSTİKLER ====================
+
+  const statsDateFormatter = new Intl.DateTimeFormat('en-CA', {
+    timeZone: CONFIG.STATS.TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  });
+
+  // YYYY-MM-DD (yerel saat dilimine göre)
+  function statsDay(timestamp = Date.now()) {
+    return statsDateFormatter.format(new Date(timestamp));
+  }
+
+  function courierStatsKey(courierId, day) {
+    return `${CONFIG.KEYS.STATS}courier:${courierId}:${day}`;
+  }
+
+  function branchStatsKey(branchId, day) {
+    return `${CONFIG.KEYS.STATS}branch:${branchId}:${day}`;
+  }
+
+  function branchStatsCouriersKey(branchId, day) {
+    return `${CONFIG.KEYS.STATS}branch:${branchId}:${day}:couriers`;
+  }
+
+  // Kurye ve şube günlük sayaçlarını birlikte artırır
+  async function incrementStats(courierId, branchId, day, increments) {
+    const courierKey = courierStatsKey(courierId, day);
+    const branchKey = branchStatsKey(branchId, day);
+    const couriersKey = branchStatsCouriersKey(branchId, day);
+    const multi = redis.multi();
+
+    for (const key of [courierKey, branchKey]) {
+      for (const [field, value] of Object.entries(increments)) {
+        if (!value) continue;
+        if (Number.isInteger(value)) multi.hIncrBy(key, field, value);
+        else multi.hIncrByFloat(key, field, value);
+      }
+      multi.expire(key, CONFIG.TTL.STATS_DAYS * 86400);
+    }
+
+    multi.hSet(courierKey, 'branchId', branchId);
+    multi.sAdd(couriersKey, courierId);
+    multi.expire(couriersKey, CONFIG.TTL.STATS_DAYS * 86400);
+    await multi.exec();
+  }
+
+  // Ardışık iki kabul edilmiş noktadan mesafe ve hareket süresi; online süre oturumdan gelir
+  async function recordLocationStats(courierId, branchId, previous, point) {
+    const increments = { points: 1 };
+
+    if (isValidCoordinate(previous)) {
+      const elapsedMs = point.timestamp - Number(previous.timestamp);
+
+      if (elapsedMs > 0 && elapsedMs <= CONFIG.STATS.MAX_GAP_MS) {
+        const distance = haversineDistance(previous.latitude, previous.longitude, point.latitude, point.longitude);
+        const speed = distance / (elapsedMs / 1000);
+
+        increments.distanceMeters = distance;
+        if (speed >= CONFIG.STATS.IDLE_SPEED_MPS) {
+          increments.movingMs = elapsedMs;
+        }
+      }
+    }
+
+    await incrementStats(courierId, branchId, statsDay(point.timestamp), increments);
+  }
+
+  async function recordSessionStart(courierId, branchId) {
+    await incrementStats(courierId, branchId, statsDay(), { sessions: 1 });
+  }
+
+  // [start, end) aralığını günlere böler; saat dilimi ofsetleri 15 dakikanın katı olduğundan
+  // UTC'de 15 dakikalık sınırlara hizalı her parça tek bir yerel güne düşer
+  function splitByDay(start, end) {
+    const step = 15 * 60 * 1000;
+    const perDay = new Map();
+    for (let cursor = start; cursor < end;) {
+      const next = Math.min((Math.floor(cursor / step) + 1) * step, end);
+      const day = statsDay(cursor);
+      perDay.set(day, (perDay.get(day) || 0) + next - cursor);
+      cursor = next;
+    }
+    return perDay;
+  }
+
+  // Bağlanmadan kopuşa kadar geçen süre online sayılır. connectedAt silinerek oturum
+  // bir kez kapatılır; devralma ve kopuş aynı oturumu iki kez saymaz.
+  async function recordSessionEnd(courierId, courier) {
+    const startedAt = Number(courier.connectedAt);
+    const claimed = await redis.hDel(CONFIG.KEYS.COURIER + courierId, 'connectedAt');
+    if (!claimed || !Number.isFinite(startedAt)) return;
+
+    for (const [day, onlineMs] of splitByDay(startedAt, Date.now())) {
+      await incrementStats(courierId, courier.branchId, day, { onlineMs });
+    }
+  }
+
+  function formatStats(raw) {
+    const distanceMeters = parseFloat(raw.distanceMeters) || 0;
+    const movingMs = parseInt(raw.movingMs) || 0;
+    const onlineMs = parseInt(raw.onlineMs) || 0;
+
+    return {
+      distanceKm: Math.round(distanceMeters / 10) / 100,
+      points: parseInt(raw.points) || 0,
+      sessions: parseInt(raw.sessions) || 0,
+      onlineMinutes: Math.round(onlineMs / 60000),
+      movingMinutes: Math.round(movingMs / 60000),
+      idleMinutes: Math.round(Math.max(onlineMs - movingMs, 0) / 60000),
+      averageSpeedKmh: movingMs > 0 ? Math.round((distanceMeters / (movingMs / 1000)) * 3.6 * 10) / 10 : 0
+    };
+  }
+
+  function parseStatsDate(value) {
+    if (value === undefined) return statsDay();
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) ? value : null;
+  }
+
+  app.get('/couriers/:courierId/stats', requireAuth('courier', 'pos', 'panel', 'admin'), async (req, res) => {
+    try {
+      const { courierId } = req.params;
+      const date = parseStatsDate(req.query.date);
+      if (!date) {
+        return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+      }
+
+      const raw = await redis.hGetAll(courierStatsKey(courierId, date));
+      const found = !!raw && Object.keys(raw).length > 0;
+
+      // Önce yetki: kayıt yoksa kuryenin güncel şubesine bakılır, böylece 404
+      // yetkisiz istemciye başka şubedeki kuryenin varlığını sızdırmaz
+      if (!isOwnCourier(req.auth, courierId) && req.auth.role !== 'admin') {
+        const branchId = found
+          ? raw.branchId
+          : await redis.hGet(CONFIG.KEYS.COURIER_BRANCH, String(courierId));
+        if (req.auth.role === 'courier' || !canAccessBranch(req.auth, branchId)) {
+          return res.status(403).json({ error: 'Forbidden' });
+        }
+      }
+      if (!found) {
+        return res.status(404).json({ error: 'No stats for this date' });
+      }
+
+      res.json({ courierId, branchId: raw.branchId, date, ...formatStats(raw) });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.get('/branch/:branchId/stats', requireAuth('pos', 'panel', 'admin'), async (req, res) => {
+    try {
+      const { branchId } = req.params;
+      if (!canAccessBranch(req.auth, branchId)) {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+
+      const date = parseStatsDate(req.query.date);
+      if (!date) {
+        return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+      }
+
+      const totals = await redis.hGetAll(branchStatsKey(branchId, date));
+      const courierIds = await redis.sMembers(branchStatsCouriersKey(branchId, date));
+
+      const rows = await Promise.all(courierIds.map(id => redis.hGetAll(courierStatsKey(id, date))));
+      const couriers = courierIds
+        .map((courierId, i) => (rows[i] && Object.keys(rows[i]).length > 0 ? { courierId, ...formatStats(rows[i]) } : null))
+        .filter(Boolean);
+
+      res.json({
+        branchId,
+        date,
+        courierCount: couriers.length,
+        ...formatStats(totals || {}),
+        couriers
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // ==================== MESAJLAŞMA ====================
+
+  // POS/panel socket'leri; kuryeler branch: odasında olduğu için mesajlar buraya gider
+  function staffRoom(branchId) {
+    return `staff:${branchId}`;
+  }
+
+  function messageReceiptsKey(messageId) {
+    return `${CONFIG.KEYS.MESSAGE}${messageId}:receipts`;
+  }
+
+  async function createMessage({ branchId, from, to, recipients, text }) {
+    const message = {
+      messageId: crypto.randomUUID(),
+      branchId,
+      from,
+      to,
+      recipients,
+      text,
+      createdAt: new Date().toISOString()
+    };
+
+    await redis.set(CONFIG.KEYS.MESSAGE + message.messageId, JSON.stringify(message), { EX: CONFIG.TTL.MESSAGE });
+    return message;
+  }
+
+  async function getMessage(messageId) {
+    const value = await redis.get(CONFIG.KEYS.MESSAGE + messageId);
+    return value ? JSON.parse(value) : null;
+  }
+
+  // Teslim onayı gelene kadar kuryenin inbox'ında bekler
+  async function queueMessageForCouriers(courierIds, messageId) {
+    const multi = redis.multi();
+    for (const courierId of courierIds) {
+      multi.rPush(CONFIG.KEYS.INBOX + courierId, messageId);
+      multi.expire(CONFIG.KEYS.INBOX + courierId, CONFIG.TTL.MESSAGE);
+    }
+    await multi.exec();
+  }
+
+  // Şube mesajı o an online olmayan (veya sonradan şubeye gelen) kuryelere de bağlanınca gider
+  async function queueMessageForBranch(branchId, message) {
+    const key = CONFIG.KEYS.BRANCH_INBOX + branchId;
+    const createdAt = new Date(message.createdAt).getTime();
+    await redis.multi()
+      .zAdd(key, { score: createdAt, value: message.messageId })
+      .zRemRangeByScore(key, '-inf', createdAt - CONFIG.TTL.MESSAGE * 1000)
+      .expire(key, CONFIG.TTL.MESSAGE)
+      .exec();
+  }
+
+  async function deliverPendingMessages(socket, courierId, branchId) {
+    const messageIds = await redis.lRange(CONFIG.KEYS.INBOX + courierId, 0, -1);
+    const messages = await Promise.all(messageIds.map(id => getMessage(id)));
+
+    for (let i = 0; i < messageIds.length; i++) {
+      if (messages[i]) {
+        socket.emit('message:new', messages[i]);
+      } else {
+        // Süresi dolmuş mesaj
+        await redis.lRem(CONFIG.KEYS.INBOX + courierId, 0, messageIds[i]);
+      }
+    }
+
+    // Şube mesajlarından bu kuryenin teslim onayı vermedikleri
+    const branchMessageIds = await redis.zRangeByScore(
+      CONFIG.KEYS.BRANCH_INBOX + branchId, Date.now() - CONFIG.TTL.MESSAGE * 1000, '+inf'
+    );
+    const delivered = await Promise.all(
+      branchMessageIds.map(id => redis.hGet(messageReceiptsKey(id), `${courierId}:deliveredAt`))
+    );
+    const pending = await Promise.all(branchMessageIds.filter((id, i) => !delivered[i]).map(id => getMessage(id)));
+    pending.filter(Boolean).forEach(message => socket.emit('message:new', message));
+  }
+
+  // recipient: courierId veya 'branch'; read, delivered'ı da kapsar. Değişiklik yoksa null.
+  // Alanlar HSETNX ile ayrı yazılır; eşzamanlı onaylar birbirini ezmez.
+  async function setMessageReceipt(messageId, recipient, status) {
+    const key = messageReceiptsKey(messageId);
+    const now = new Date().toISOString();
+    const deliveredField = `${recipient}:deliveredAt`;
+    const readField = `${recipient}:readAt`;
+
+    const multi = redis.multi().hSetNX(key, deliveredField, now);
+    if (status === 'read') multi.hSetNX(key, readField, now);
+    multi.hmGet(key, [deliveredField, readField]).expire(key, CONFIG.TTL.MESSAGE);
+
+    const results = await multi.exec();
+    const changed = results[status === 'read' ? 1 : 0];
+    const [deliveredAt, readAt] = results[results.length - 2];
+    return changed ? { deliveredAt, readAt } : null;
+  }
+
+  // ==================== YAKINDAKİ KURYELER ====================
+
+  // REST query (string) veya socket payload'ından; { params } veya { error }
+  function parseNearbyParams(input) {
+    const latitude = toNumber(input.lat !== undefined ? input.lat : input.latitude);
+    const longitude = toNumber(input.lng !== undefined ? input.lng : input.longitude);
+    if (!isValidCoordinate({ latitude, longitude })) {
+      return { error: 'Valid lat/lng required' };
+    }
+
+    const radius = toNumber(input.radius);
+    const limit = toNumber(input.limit);
+    const maxAge = toNumber(input.maxAge);
+    const minBattery = toNumber(input.minBattery);
+    const statuses = parseStatusFilter(input.status);
+
+    if (statuses === false) return { error: `status must be one of: ${COURIER_STATUSES.join(', ')}` };
+    if ([radius, limit, maxAge, minBattery].some(n => Number.isNaN(n) || n < 0)) {
+      return { error: 'radius, limit, maxAge and minBattery must be non-negative numbers' };
+    }
+
+    return {
+      params: {
+        latitude,
+        longitude,
+        radius: Math.min(radius || 3000, 50000),                        // metre
+        limit: Math.min(limit || 10, 100),
+        maxAgeMs: (maxAge || CONFIG.COURIER_TIMEOUT_MS / 1000) * 1000,  // saniye -> ms
+        minBattery: minBattery || 0,
+        statuses
+      }
+    };
+  }
+
+  // Mesafeye göre sıralı; tazelik/batarya/durum filtresi GEO aramasından sonra uygulanır
+  async function findNearbyCouriers(branchId, { latitude, longitude, radius, limit, maxAgeMs, minBattery, statuses }) {
+    const geoKey = CONFIG.KEYS.BRANCH_GEO + branchId;
+    const matches = await redis.geoSearchWith(
+      geoKey,
+      { longitude, latitude },
+      { radius, unit: 'm' },
+      [GeoReplyWith.DISTANCE],
+      { SORT: 'ASC' }
+    );
+
+    const couriers = await getCouriers(matches.map(m => m.member));
+    const byId = new Map(couriers.map(c => [c.courierId, c]));
+    const now = Date.now();
+    const results = [];
+    const gone = [];
+
+    for (const match of matches) {
+      const courier = byId.get(match.member);
+      if (!courier || courier.branchId !== String(branchId)) {
+        gone.push(match.member);
+        continue;
+      }
+      if (!courier.location || now - Number(courier.location.timestamp) > maxAgeMs) continue;
+      if (courier.batteryLevel < minBattery) continue;
+      if (statuses && !statuses.includes(courier.status)) continue;
+
+      results.push({
+        courierId: courier.courierId,
+        name: courier.name,
+        status: courier.status,
+        distanceMeters: Math.round(parseFloat(match.distance)),
+        location: courier.location,
+        batteryLevel: courier.batteryLevel,
+        lastUpdate: courier.lastUpdate
+      });
+      if (results.length >= limit) break;
+    }
+
+    // Süresi dolmuş / şube değiştirmiş kuryeler index'ten düşer
+    if (gone.length > 0) {
+      await redis.zRem(geoKey, gone);
+    }
+
+    return results;
+  }
+
+  app.get('/branch/:branchId/couriers/nearby', requireAuth('pos', 'panel', 'admin'), async (req, res) => {
+    try {
+      const { branchId } = req.params;
+      if (!canAccessBranch(req.auth, branchId)) {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+
+      const { params, error } = parseNearbyParams(req.query);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      res.json(await findNearbyCouriers(branchId, params));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // ==================== ARŞİV ====================
+
+  // Kabul edilen konumlar ve online/offline olayları önce Redis listesine yazılır
+  // (restart'ta kaybolmaz), kilidi alan instance toplu olarak sink'e aktarır.
+  // Sink yazıp liste kırpılmadan çökülürse o batch tekrar yazılabilir (en az bir kez).
+
+  let archiveSink = null;
+
+  function locationArchiveRecord(courierId, branchId, location, batteryLevel) {
+    return {
+      type: 'location',
+      courierId,
+      branchId,
+      latitude: location.latitude,
+      longitude: location.longitude,
+      speed: location.speed,
+      heading: location.heading,
+      accuracy: location.accuracy,
+      batteryLevel,
+      timestamp: Number(location.timestamp),
+      receivedAt: Date.now()
+    };
+  }
+
+  function eventArchiveRecord(type, courierId, branchId, reason = null) {
+    const now = Date.now();
+    return { type, courierId, branchId, reason, timestamp: now, receivedAt: now };
+  }
+
+  async function archiveRecords(records) {
+    if (!CONFIG.ARCHIVE.SINK || records.length === 0) return;
+    await redis.rPush(CONFIG.KEYS.ARCHIVE_BUFFER, records.map(r => JSON.stringify(r)));
+  }
+
+  // Sink arayüzü: init(), write(records), prune(beforeMs) -> silinen, close()
+
+  // Her flush dosyaya ayrı bir gzip üyesi ekler; gunzip/zcat hepsini tek akış olarak okur
+  function createNdjsonSink({ DIR: dir, ROTATION: rotation }) {
+    const hourly = rotation === 'hourly';
+    const fileFor = (ms) => {
+      const iso = new Date(ms).toISOString();
+      return path.join(dir, `archive-${hourly ? iso.slice(0, 13) : iso.slice(0, 10)}.ndjson.gz`);
+    };
+
+    return {
+      name: 'ndjson',
+
+      async init() {
+        await fs.promises.mkdir(dir, { recursive: true });
+      },
+
+      async write(records) {
+        const files = new Map();
+        for (const record of records) {
+          const file = fileFor(record.timestamp);
+          if (!files.has(file)) files.set(file, []);
+          files.get(file).push(JSON.stringify(record));
+        }
+        for (const [file, lines] of files) {
+          await fs.promises.appendFile(file, await gzip(lines.join('\n') + '\n'));
+        }
+      },
+
+      // Dönemi tamamen kesim tarihinden önce biten dosyalar silinir
+      async prune(beforeMs) {
+        let removed = 0;
+        for (const name of await fs.promises.readdir(dir)) {
+          const match = /^archive-(\d{4}-\d{2}-\d{2})(?:T(\d{2}))?\.ndjson\.gz$/.exec(name);
+          if (!match) continue;
+
+          const start = Date.parse(`${match[1]}T${match[2] || '00'}:00:00Z`);
+          const end = start + (match[2] ? 3600000 : 86400000);
+          if (end <= beforeMs) {
+            await fs.promises.unlink(path.join(dir, name));
+            removed++;
+          }
+        }
+        return removed;
+      },
+
+      async close() {}
+    };
+  }
+
+  // SQL adapter: exec(sql), insertMany(sql, rows), run(sql, params) -> etkilenen satır, close().
+  // Sorgular '?' yer tutucu kullanır.
+  function createSqliteAdapter(file) {
+    const Database = require('better-sqlite3'); // optionalDependency, yalnızca bu sink için
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+
+    return {
+      async exec(sql) {
+        db.exec(sql);
+      },
+      async insertMany(sql, rows) {
+        const statement = db.prepare(sql);
+        db.transaction(items => items.forEach(row => statement.run(row)))(rows);
+      },
+      async run(sql, params) {
+        return db.prepare(sql).run(params).changes;
+      },
+      async close() {
+        db.close();
+      }
+    };
+  }
+
+  function createSqlSink(adapter) {
+    const columns = ['type', 'courier_id', 'branch_id', 'latitude', 'longitude', 'speed', 'heading',
+      'accuracy', 'battery_level', 'reason', 'recorded_at', 'received_at'];
+
+    return {
+      name: 'sql',
+
+      async init() {
+        await adapter.exec(`
+          CREATE TABLE IF NOT EXISTS courier_archive (
+            type VARCHAR(16) NOT NULL,
+            courier_id VARCHAR(64) NOT NULL,
+            branch_id VARCHAR(64),
+            latitude DOUBLE PRECISION,
+            longitude DOUBLE PRECISION,
+            speed DOUBLE PRECISION,
+            heading DOUBLE PRECISION,
+            accuracy DOUBLE PRECISION,
+            battery_level INTEGER,
+            reason VARCHAR(255),
+            recorded_at BIGINT NOT NULL,
+            received_at BIGINT NOT NULL
+          );
+          CREATE INDEX IF NOT EXISTS courier_archive_courier_time ON courier_archive (courier_id, recorded_at);
+          CREATE INDEX IF NOT EXISTS courier_archive_time ON courier_archive (recorded_at);
+        `);
+      },
+
+      async write(records) {
+        await adapter.insertMany(
+          `INSERT INTO courier_archive (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+          records.map(r => [
+            r.type, r.courierId, r.branchId || null,
+            r.latitude ?? null, r.longitude ?? null, r.speed ?? null, r.heading ?? null,
+            r.accuracy ?? null, r.batteryLevel ?? null, r.reason || null,
+            r.timestamp, r.receivedAt
+          ])
+        );
+      },
+
+      async prune(beforeMs) {
+        return adapter.run('DELETE FROM courier_archive WHERE recorded_at < ?', [beforeMs]);
+      },
+
+      close: () => adapter.close()
+    };
+  }
+
+  function createArchiveSink(config) {
+    switch (config.SINK) {
+      case 'ndjson':
+        return createNdjsonSink(config);
+      case 'sqlite':
+        return createSqlSink(createSqliteAdapter(config.SQLITE_PATH));
+      default:
+        throw new Error(`Bilinmeyen arşiv sink'i: ${config.SINK}`);
+    }
+  }
+
+  // Yalnız hâlâ bu instance'ta olan kilit silinir (süresi dolup başkasına geçmiş olabilir)
+  const RELEASE_LOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+  async function releaseLock(name) {
+    await redis.eval(RELEASE_LOCK_SCRIPT, {
+      keys: [CONFIG.KEYS.LOCK + name],
+      arguments: [localMetrics.instanceId]
+    });
+  }
+
+  // Sink hata verirse kayıtlar listede kalır, sonraki turda tekrar denenir
+  async function flushArchive() {
+    if (!archiveSink || !redis.isReady) return 0;
+    if (!(await acquireLock('archive', CONFIG.ARCHIVE.LOCK_TTL_MS))) return 0;
+
+    let flushed = 0;
+    try {
+      for (let i = 0; i < CONFIG.ARCHIVE.MAX_BATCHES_PER_FLUSH; i++) {
+        const values = await redis.lRange(CONFIG.KEYS.ARCHIVE_BUFFER, 0, CONFIG.ARCHIVE.BATCH_SIZE - 1);
+        if (values.length === 0) break;
+
+        await archiveSink.write(values.map(v => JSON.parse(v)));
+        await redis.lTrim(CONFIG.KEYS.ARCHIVE_BUFFER, values.length, -1);
+        flushed += values.length;
+      }
+    } finally {
+      await releaseLock('archive');
+    }
+    return flushed;
+  }
+
+  async function pruneArchive() {
+    if (!archiveSink) return 0;
+    if (!(await acquireLock('archive-retention', CONFIG.ARCHIVE.RETENTION_INTERVAL_MS - 1000))) return 0;
+
+    const removed = await archiveSink.prune(Date.now() - CONFIG.ARCHIVE.RETENTION_DAYS * 86400000);
+    if (removed > 0) {
+      log.info('Arşiv saklama: eski kayıtlar silindi', { removed });
+    }
+    return removed;
+  }
+
+  scheduleJob(async () => {
+    try {
+      await flushArchive();
+    } catch (error) {
+      log.error('Arşiv yazılamadı', { type: 'job_error', job: 'archive-flush', err: error });
+    }
+  }, () => CONFIG.ARCHIVE.FLUSH_INTERVAL_MS);
+
+  scheduleJob(async () => {
+    try {
+      await pruneArchive();
+    } catch (error) {
+      log.error('Arşiv saklama başarısız', { type: 'job_error', job: 'archive-retention', err: error });
+    }
+  }, () => CONFIG.ARCHIVE.RETENTION_INTERVAL_MS);
+
+  // ==================== WEBHOOK ====================
+
+  const WEBHOOK_EVENTS = ['courier.online', 'courier.offline', 'courier.low_battery', 'courier.batch_completed'];
+
+  // Hata mesajı veya normalize edilmiş abonelik döner (secret verilmezse undefined)
+  function parseWebhook(body) {
+    const { url, events, branchIds, secret, active } = body || {};
+
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return { error: 'url must be a valid http(s) URL' };
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) return { error: 'url must be a valid http(s) URL' };
+
+    if (!Array.isArray(events) || events.length === 0 || !events.every(e => WEBHOOK_EVENTS.includes(e))) {
+      return { error: `events must be a non-empty list of: ${WEBHOOK_EVENTS.join(', ')}` };
+    }
+    if (branchIds !== undefined && branchIds !== '*' &&
+        !(Array.isArray(branchIds) && branchIds.every(id => typeof id === 'string' && id))) {
+      return { error: 'branchIds must be "*" or a list of branch ids' };
+    }
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+      return { error: 'secret must be at least 16 characters' };
+    }
+    if (active !== undefined && typeof active !== 'boolean') return { error: 'active must be a boolean' };
+
+    return {
+      webhook: {
+        url,
+        events: [...new Set(events)],
+        branchIds: branchIds === undefined ? '*' : branchIds,
+        secret,
+        active: active !== false
+      }
+    };
+  }
+
+  // Secret yalnızca oluşturma yanıtında döner
+  function publicWebhook(webhook) {
+    const { secret, ...rest } = webhook;
+    return rest;
+  }
+
+  async function getWebhooks() {
+    const data = await redis.hGetAll(CONFIG.KEYS.WEBHOOKS);
+    return Object.values(data || {}).map(v => JSON.parse(v));
+  }
+
+  async function getWebhook(webhookId) {
+    const value = await redis.hGet(CONFIG.KEYS.WEBHOOKS, webhookId);
+    return value ? JSON.parse(value) : null;
+  }
+
+  async function saveWebhook(webhook) {
+    await redis.hSet(CONFIG.KEYS.WEBHOOKS, webhook.id, JSON.stringify(webhook));
+  }
+
+  // Olay, eşleşen her abonelik için ayrı bir teslimat işi olarak kuyruğa yazılır.
+  // Olayı yalnızca üreten instance yazar; teslimatı kuyruğu ilk sahiplenen yapar.
+  async function dispatchWebhookEvent(type, branchId, data) {
+    const webhooks = (await getWebhooks()).filter(w =>
+      w.active && w.events.includes(type) && (w.branchIds === '*' || w.branchIds.includes(branchId))
+    );
+    if (webhooks.length === 0) return;
+
+    const event = {
+      id: crypto.randomUUID(),
+      type,
+      createdAt: new Date().toISOString(),
+      data: { branchId, ...data }
+    };
+
+    const multi = redis.multi();
+    for (const webhook of webhooks) {
+      const job = { id: crypto.randomUUID(), webhookId: webhook.id, event, attempts: 0 };
+      multi.hSet(CONFIG.KEYS.WEBHOOK_JOBS, job.id, JSON.stringify(job));
+      multi.zAdd(CONFIG.KEYS.WEBHOOK_QUEUE, { score: Date.now(), value: job.id });
+    }
+    await multi.exec();
+  }
+
+  // Pil eşiğin altına indiği güncellemede bir kez tetiklenir; eşik şubenin
+  // lowBattery alarm kuralıyla aynıdır, yalnız pil düştüğünde okunur
+  async function notifyLowBattery(courierId, courier, batteryLevel) {
+    if (!(batteryLevel < courier.batteryLevel)) return;
+
+    const threshold = (await getAlertRules(courier.branchId)).lowBattery.thresholdPercent;
+    if (!(courier.batteryLevel >= threshold && batteryLevel < threshold)) return;
+
+    await dispatchWebhookEvent('courier.low_battery', courier.branchId, {
+      courierId,
+      name: courier.name,
+      batteryLevel,
+      threshold
+    });
+  }
+
+  // Alıcı doğrulaması: HMAC-SHA256(secret, `${timestamp}.${body}`)
+  function signWebhookPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  async function deliverWebhookJob(job) {
+    const webhook = await getWebhook(job.webhookId);
+
+    // Silinmiş veya pasif aboneliğin bekleyen işleri düşer
+    if (!webhook || !webhook.active) {
+      await redis.multi()
+        .hDel(CONFIG.KEYS.WEBHOOK_JOBS, job.id)
+        .zRem(CONFIG.KEYS.WEBHOOK_PROCESSING, job.id)
+        .exec();
+      return;
+    }
+
+    const body = JSON.stringify(job.event);
+    const timestamp = Math.floor(Date.now() / 1000);
+    let failure;
+
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-YemiGO-Event': job.event.type,
+          'X-YemiGO-Delivery': job.id,
+          'X-YemiGO-Timestamp': String(timestamp),
+          'X-YemiGO-Signature': `sha256=${signWebhookPayload(webhook.secret, timestamp, body)}`
+        },
+        body,
+        signal: AbortSignal.timeout(CONFIG.WEBHOOKS.TIMEOUT_MS)
+      });
+
+      if (response.ok) {
+        await redis.multi()
+          .hDel(CONFIG.KEYS.WEBHOOK_JOBS, job.id)
+          .zRem(CONFIG.KEYS.WEBHOOK_PROCESSING, job.id)
+          .exec();
+        return;
+      }
+      failure = `HTTP ${response.status}`;
+    } catch (error) {
+      failure = error.message;
+    }
+
+    const failed = {
+      ...job,
+      attempts: job.attempts + 1,
+      lastError: failure,
+      lastAttemptAt: new Date().toISOString()
+    };
+
+    if (failed.attempts >= CONFIG.WEBHOOKS.MAX_ATTEMPTS) {
+      await redis.multi()
+        .hDel(CONFIG.KEYS.WEBHOOK_JOBS, job.id)
+        .zRem(CONFIG.KEYS.WEBHOOK_PROCESSING, job.id)
+        .lPush(CONFIG.KEYS.WEBHOOK_DEAD, JSON.stringify({ ...failed, url: webhook.url }))
+        .lTrim(CONFIG.KEYS.WEBHOOK_DEAD, 0, CONFIG.WEBHOOKS.DEAD_LETTER_LIMIT - 1)
+        .exec();
+      log.warn('Webhook teslim edilemedi', { type: 'webhook_failed', url: webhook.url, event: job.event.type, attempts: failed.attempts, error: failure });
+      return;
+    }
+
+    // Üstel geri çekilme
+    const delay = Math.min(
+      CONFIG.WEBHOOKS.BACKOFF_BASE_MS * 2 ** (failed.attempts - 1),
+      CONFIG.WEBHOOKS.BACKOFF_MAX_MS
+    );
+    await redis.multi()
+      .hSet(CONFIG.KEYS.WEBHOOK_JOBS, job.id, JSON.stringify(failed))
+      .zRem(CONFIG.KEYS.WEBHOOK_PROCESSING, job.id)
+      .zAdd(CONFIG.KEYS.WEBHOOK_QUEUE, { score: Date.now() + delay, value: job.id })
+      .exec();
+  }
+
+  let webhookWorkerBusy = false;
+
+  // Her instance kuyruğu yoklar; ZREM atomik olduğu için bir işi yalnızca tek instance alır
+  async function processWebhookQueue() {
+    if (webhookWorkerBusy || !redis.isReady) return 0;
+    webhookWorkerBusy = true;
+
+    try {
+      const now = Date.now();
+
+      // Sahibi çökmüş işler kuyruğa geri döner
+      const stuck = await redis.zRangeByScore(CONFIG.KEYS.WEBHOOK_PROCESSING, '-inf', now, {
+        LIMIT: { offset: 0, count: CONFIG.WEBHOOKS.BATCH_SIZE }
+      });
+      for (const jobId of stuck) {
+        if (await redis.zRem(CONFIG.KEYS.WEBHOOK_PROCESSING, jobId)) {
+          await redis.zAdd(CONFIG.KEYS.WEBHOOK_QUEUE, { score: now, value: jobId });
+        }
+      }
+
+      const due = await redis.zRangeByScore(CONFIG.KEYS.WEBHOOK_QUEUE, '-inf', now, {
+        LIMIT: { offset: 0, count: CONFIG.WEBHOOKS.BATCH_SIZE }
+      });
+
+      const jobs = [];
+      for (const jobId of due) {
+        if (!(await redis.zRem(CONFIG.KEYS.WEBHOOK_QUEUE, jobId))) continue;
+        await redis.zAdd(CONFIG.KEYS.WEBHOOK_PROCESSING, {
+          score: now + CONFIG.WEBHOOKS.PROCESSING_TIMEOUT_MS,
+          value: jobId
+        });
+
+        const value = await redis.hGet(CONFIG.KEYS.WEBHOOK_JOBS, jobId);
+        if (value) {
+          jobs.push(JSON.parse(value));
+        } else {
+          await redis.zRem(CONFIG.KEYS.WEBHOOK_PROCESSING, jobId);
+        }
+      }
+
+      await Promise.all(jobs.map(job => deliverWebhookJob(job)));
+      return jobs.length;
+    } finally {
+      webhookWorkerBusy = false;
+    }
+  }
+
+  scheduleJob(async () => {
+    try {
+      await processWebhookQueue();
+    } catch (error) {
+      log.error('Webhook kuyruğu işlenemedi', { type: 'job_error', job: 'webhooks', err: error });
+    }
+  }, () => CONFIG.WEBHOOKS.POLL_INTERVAL_MS);
+
+  app.get('/webhooks', requireAuth('admin'), async (req, res) => {
+    try {
+      res.json((await getWebhooks()).map(publicWebhook));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // /webhooks/:webhookId'den önce tanımlı olmalı
+  app.get('/webhooks/dead-letters', requireAuth('admin'), async (req, res) => {
+    try {
+      const { offset, limit } = parsePagination(req.query);
+      const [total, items] = await Promise.all([
+        redis.lLen(CONFIG.KEYS.WEBHOOK_DEAD),
+        redis.lRange(CONFIG.KEYS.WEBHOOK_DEAD, offset, offset + limit - 1)
+      ]);
+
+      res.set('X-Total-Count', String(total));
+      res.json(items.map(v => JSON.parse(v)));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.get('/webhooks/:webhookId', requireAuth('admin'), async (req, res) => {
+    try {
+      const webhook = await getWebhook(req.params.webhookId);
+      if (!webhook) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+      res.json(publicWebhook(webhook));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.post('/webhooks', requireAuth('admin'), async (req, res) => {
+    try {
+      const { webhook, error } = parseWebhook(req.body);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const now = new Date().toISOString();
+      const saved = {
+        id: crypto.randomUUID(),
+        ...webhook,
+        secret: webhook.secret || crypto.randomBytes(32).toString('hex'),
+        createdAt: now,
+        updatedAt: now
+      };
+      await saveWebhook(saved);
+
+      res.status(201).json(saved);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.put('/webhooks/:webhookId', requireAuth('admin'), async (req, res) => {
+    try {
+      const { webhookId } = req.params;
+      const existing = await getWebhook(webhookId);
+      if (!existing) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+
+      const { webhook, error } = parseWebhook(req.body);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const saved = {
+        id: webhookId,
+        ...webhook,
+        secret: webhook.secret || existing.secret,
+        createdAt: existing.createdAt,
+        updatedAt: new Date().toISOString()
+      };
+      await saveWebhook(saved);
+
+      res.json(publicWebhook(saved));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.delete('/webhooks/:webhookId', requireAuth('admin'), async (req, res) => {
+    try {
+      const removed = await redis.hDel(CONFIG.KEYS.WEBHOOKS, req.params.webhookId);
+      if (!removed) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+      res.status(204).end();
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // ==================== ALARMLAR ====================
+
+  const ALERT_TYPES = ['low_battery', 'stale_gps', 'inactive'];
+
+  // kural -> eşik alanı ve sınırları
+  const ALERT_RULE_FIELDS = {
+    lowBattery: { field: 'thresholdPercent', min: 1, max: 100 },
+    staleGps: { field: 'afterSeconds', min: 10, max: 86400 },
+    inactivity: { field: 'afterMinutes', min: 1, max: 1440 }
+  };
+
+  async function getAlertRules(branchId) {
+    const value = await redis.get(CONFIG.KEYS.ALERT_RULES + branchId);
+    const overrides = value ? JSON.parse(value) : {};
+
+    const rules = {};
+    for (const name of Object.keys(ALERT_RULE_FIELDS)) {
+      rules[name] = { ...CONFIG.ALERTS.DEFAULT_RULES[name], ...overrides[name] };
+    }
+    return rules;
+  }
+
+  // Kısmi güncelleme mevcut kurallarla birleşir; hata mesajı veya yeni kurallar döner
+  function parseAlertRules(body, current) {
+    if (!body || typeof body !== 'object') return { error: 'body must be an object' };
+
+    const rules = { ...current };
+    for (const [name, patch] of Object.entries(body)) {
+      const spec = ALERT_RULE_FIELDS[name];
+      if (!spec) return { error: `unknown rule: ${name}` };
+      if (!patch || typeof patch !== 'object') return { error: `${name} must be an object` };
+
+      const { enabled, [spec.field]: threshold } = patch;
+      if (enabled !== undefined && typeof enabled !== 'boolean') return { error: `${name}.enabled must be a boolean` };
+      if (threshold !== undefined &&
+          (!Number.isFinite(threshold) || threshold < spec.min || threshold > spec.max)) {
+        return { error: `${name}.${spec.field} must be between ${spec.min} and ${spec.max}` };
+      }
+
+      rules[name] = {
+        enabled: enabled !== undefined ? enabled : current[name].enabled,
+        [spec.field]: threshold !== undefined ? threshold : current[name][spec.field]
+      };
+    }
+    return { rules };
+  }
+
+  async function getBranchAlerts(branchId) {
+    const data = await redis.hGetAll(CONFIG.KEYS.ALERTS + branchId);
+    return Object.values(data || {}).map(v => JSON.parse(v));
+  }
+
+  async function getAlert(branchId, alertId) {
+    const value = await redis.hGet(CONFIG.KEYS.ALERTS + branchId, alertId);
+    return value ? JSON.parse(value) : null;
+  }
+
+  async function saveAlert(alert) {
+    const key = CONFIG.KEYS.ALERTS + alert.branchId;
+    await redis.multi()
+      .hSet(key, alert.id, JSON.stringify(alert))
+      .expire(key, CONFIG.TTL.ALERTS)
+      .exec();
+  }
+
+  // Kural sonucu: { active, value, threshold }
+  async function checkAlertConditions(courier, rules, now) {
+    const { lowBattery, staleGps, inactivity } = rules;
+    const results = {};
+
+    results.low_battery = {
+      active: lowBattery.enabled && courier.batteryLevel < lowBattery.thresholdPercent,
+      value: courier.batteryLevel,
+      threshold: lowBattery.thresholdPercent
+    };
+
+    // Son konum yoksa bağlanma anından itibaren sayılır
+    const lastFixAt = Math.max(Number(courier.locationAt) || 0, Number(courier.connectedAt) || 0);
+    const silentSeconds = lastFixAt > 0 ? Math.floor((now - lastFixAt) / 1000) : 0;
+    results.stale_gps = {
+      active: staleGps.enabled && courier.status !== 'on_break' && silentSeconds > staleGps.afterSeconds,
+      value: silentSeconds,
+      threshold: staleGps.afterSeconds
+    };
+
+    // Siparişteyken pencere boyunca tüm noktalar küçük bir yarıçapta kaldıysa
+    results.inactive = { active: false, value: 0, threshold: inactivity.afterMinutes };
+    const windowStart = now - inactivity.afterMinutes * 60000;
+    if (inactivity.enabled && courier.status === 'busy' && Number(courier.connectedAt) <= windowStart) {
+      const { points } = await getTrail(courier.courierId, windowStart, '+inf');
+      const last = points[points.length - 1];
+      const stationary = points.length > 0 && points.every(p =>
+        haversineDistance(p.latitude, p.longitude, last.latitude, last.longitude) <= CONFIG.ALERTS.IDLE_RADIUS_M
+      );
+      results.inactive.active = stationary;
+      results.inactive.value = stationary ? inactivity.afterMinutes : 0;
+    }
+
+    return results;
+  }
+
+  function emitAlert(alert, state, extra = {}) {
+    io.to(`branch:${alert.branchId}`).emit('courier:alert', { ...alert, state, ...extra });
+  }
+
+  // Aynı kurye/tip için tek kayıt: onaylanmış alarm da koşul bitene kadar tekrar üretilmez
+  async function evaluateCourierAlerts(courier, rules, existing, now) {
+    const results = await checkAlertConditions(courier, rules, now);
+
+    for (const type of ALERT_TYPES) {
+      const id = `${courier.courierId}:${type}`;
+      const { active, value, threshold } = results[type];
+
+      if (active && !existing[id]) {
+        const alert = {
+          id,
+          branchId: courier.branchId,
+          courierId: courier.courierId,
+          name: courier.name,
+          type,
+          state: 'active',
+          value,
+          threshold,
+          raisedAt: new Date(now).toISOString()
+        };
+        await saveAlert(alert);
+        emitAlert(alert, 'active');
+      } else if (!active && existing[id]) {
+        await redis.hDel(CONFIG.KEYS.ALERTS + courier.branchId, id);
+        emitAlert(existing[id], 'cleared', { clearReason: 'resolved', clearedAt: new Date(now).toISOString() });
+      }
+    }
+  }
+
+  // Aktif index üzerinden tüm kuryeler; kilit sayesinde her turda tek instance çalışır.
+  // Kaydı düşmüş (bağlantısı kopmuş) kuryenin alarmları onaylanana/temizlenene kadar kalır.
+  async function evaluateAlerts() {
+    const now = Date.now();
+    const rulesByBranch = new Map();
+    const alertsByBranch = new Map();
+    let evaluated = 0;
+
+    for (let offset = 0; ; offset += 500) {
+      const courierIds = await redis.zRange(CONFIG.KEYS.ACTIVE_COURIERS, offset, offset + 499);
+      if (courierIds.length === 0) break;
+
+      for (const courier of await getCouriers(courierIds)) {
+        const { branchId } = courier;
+        if (!rulesByBranch.has(branchId)) {
+          const alerts = await getBranchAlerts(branchId);
+          rulesByBranch.set(branchId, await getAlertRules(branchId));
+          alertsByBranch.set(branchId, Object.fromEntries(alerts.map(a => [a.id, a])));
+        }
+
+        await evaluateCourierAlerts(courier, rulesByBranch.get(branchId), alertsByBranch.get(branchId), now);
+        evaluated++;
+      }
+    }
+
+    return evaluated;
+  }
+
+  scheduleJob(async () => {
+    try {
+      if (!redis.isReady) return;
+      if (!(await acquireLock('alerts', CONFIG.ALERTS.EVALUATION_INTERVAL_MS - 100))) return;
+      await evaluateAlerts();
+    } catch (error) {
+      log.error('Alarmlar değerlendirilemedi', { type: 'job_error', job: 'alerts', err: error });
+    }
+  }, () => CONFIG.ALERTS.EVALUATION_INTERVAL_MS);
+
+  app.get('/branch/:branchId/alert-rules', requireAuth('pos', 'panel', 'admin'), async (req, res) => {
+    try {
+      const { branchId } = req.params;
+      if (!canAccessBranch(req.auth, branchId)) {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+
+      res.json(await getAlertRules(branchId));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.put('/branch/:branchId/alert-rules', requireAuth('panel', 'admin'), async (req, res) => {
+    try {
+      const { branchId } = req.params;
+      if (!canAccessBranch(req.auth, branchId)) {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+
+      const { rules, error } = parseAlertRules(req.body, await getAlertRules(branchId));
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      await redis.set(CONFIG.KEYS.ALERT_RULES + branchId, JSON.stringify(rules));
+      res.json(rules);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.get('/branch/:branchId/alerts', requireAuth('pos', 'panel', 'admin'), async (req, res) => {
+    try {
+      const { branchId } = req.params;
+      if (!canAccessBranch(req.auth, branchId)) {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+
+      const { state } = req.query;
+      if (state && !['active', 'acknowledged'].includes(state)) {
+        return res.status(400).json({ error: 'state must be active or acknowledged' });
+      }
+
+      const alerts = (await getBranchAlerts(branchId))
+        .filter(a => !state || a.state === state)
+        .sort((a, b) => b.raisedAt.localeCompare(a.raisedAt));
+      res.json(alerts);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.post('/branch/:branchId/alerts/:alertId/ack', requireAuth('pos', 'panel', 'admin'), async (req, res) => {
+    try {
+      const { branchId, alertId } = req.params;
+      if (!canAccessBranch(req.auth, branchId)) {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+
+      const alert = await getAlert(branchId, alertId);
+      if (!alert) {
+        return res.status(404).json({ error: 'Alert not found' });
+      }
+      if (alert.state === 'acknowledged') {
+        return res.json(alert);
+      }
+
+      const acknowledged = {
+        ...alert,
+        state: 'acknowledged',
+        acknowledgedAt: new Date().toISOString(),
+        acknowledgedBy: (req.body && typeof req.body.by === 'string' && req.body.by) || req.auth.role
+      };
+      await saveAlert(acknowledged);
+      emitAlert(acknowledged, 'acknowledged');
+
+      res.json(acknowledged);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Koşul sürüyorsa bir sonraki değerlendirmede yeniden üretilir
+  app.post('/branch/:branchId/alerts/:alertId/clear', requireAuth('pos', 'panel', 'admin'), async (req, res) => {
+    try {
+      const { branchId, alertId } = req.params;
+      if (!canAccessBranch(req.auth, branchId)) {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+
+      const alert = await getAlert(branchId, alertId);
+      if (!alert) {
+        return res.status(404).json({ error: 'Alert not found' });
+      }
+
+      await redis.hDel(CONFIG.KEYS.ALERTS + branchId, alertId);
+      const extra = { clearReason: 'manual', clearedAt: new Date().toISOString() };
+      emitAlert(alert, 'cleared', extra);
+
+      res.json({ ...alert, state: 'cleared', ...extra });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // ==================== ŞUBE AKIŞI ====================
+
+  // Zayıf bağlantılı POS/panel için: konumlar abone başına biriktirilir, en fazla
+  // intervalMs'de bir frame gider ve frame'de yalnızca değişen alanlar bulunur.
+  // Kayıt alanları: id, name (ilk gönderimde), lat, lng, spd (m/s), hdg, bat, ts
+
+  const FEED_FIELDS = ['lat', 'lng', 'spd', 'hdg', 'bat', 'ts'];
+
+  // branchId -> bu instance'taki akış abonesi socket'ler
+  const feedSockets = new Map();
+
+  function feedRoom(branchId) {
+    return `feed:${branchId}`;
+  }
+
+  // Akış abonelerine frame gittiği için tekil konum yayınları onları atlar
+  function branchLocationTarget(branchId) {
+    return io.to(`branch:${branchId}`).except(feedRoom(branchId));
+  }
+
+  function parseBbox(bbox) {
+    if (bbox === undefined || bbox === null) return { bbox: null };
+
+    const { minLat, minLng, maxLat, maxLng } = bbox;
+    const valid = isValidCoordinate({ latitude: minLat, longitude: minLng }) &&
+      isValidCoordinate({ latitude: maxLat, longitude: maxLng }) &&
+      minLat <= maxLat && minLng <= maxLng;
+
+    return valid
+      ? { bbox: { minLat, minLng, maxLat, maxLng } }
+      : { error: 'bbox requires valid minLat <= maxLat and minLng <= maxLng' };
+  }
+
+  function parseFeedOptions(feed) {
+    const intervalMs = feed.intervalMs === undefined ? CONFIG.FEED.DEFAULT_INTERVAL_MS : feed.intervalMs;
+    if (!Number.isFinite(intervalMs) || intervalMs < CONFIG.FEED.MIN_INTERVAL_MS || intervalMs > CONFIG.FEED.MAX_INTERVAL_MS) {
+      return { error: `feed.intervalMs must be between ${CONFIG.FEED.MIN_INTERVAL_MS} and ${CONFIG.FEED.MAX_INTERVAL_MS}` };
+    }
+
+    const { bbox, error } = parseBbox(feed.bbox);
+    if (error) return { error };
+
+    return { options: { intervalMs, bbox } };
+  }
+
+  function isInsideBbox(bbox, latitude, longitude) {
+    return !bbox || (
+      latitude >= bbox.minLat && latitude <= bbox.maxLat &&
+      longitude >= bbox.minLng && longitude <= bbox.maxLng
+    );
+  }
+
+  function toFeedEntry(courierId, name, location, batteryLevel) {
+    return {
+      id: courierId,
+      name,
+      lat: Math.round(location.latitude * 1e6) / 1e6,
+      lng: Math.round(location.longitude * 1e6) / 1e6,
+      spd: Math.round((Number(location.speed) || 0) * 10) / 10,
+      hdg: Math.round(Number(location.heading) || 0),
+      bat: batteryLevel,
+      ts: Number(location.timestamp)
+    };
+  }
+
+  // Son gönderilene göre değişen alanlar; ilk gönderimde kaydın tamamı
+  function diffFeedEntry(previous, entry) {
+    if (!previous) return { ...entry };
+
+    const delta = { id: entry.id };
+    for (const field of FEED_FIELDS) {
+      if (entry[field] !== previous[field]) delta[field] = entry[field];
+    }
+    return Object.keys(delta).length > 1 ? delta : null;
+  }
+
+  function emitFeedFrame(socket, feed, couriers, removed) {
+    socket.emit('branch:frame', {
+      branchId: feed.branchId,
+      couriers,
+      removed,
+      serverTime: Date.now()
+    });
+  }
+
+  function flushFeed(socket, feed) {
+    feed.lastFlush = Date.now();
+    const couriers = [];
+    const removed = [];
+
+    for (const entry of feed.pending.values()) {
+      const previous = feed.sent.get(entry.id);
+
+      // Görüş alanından çıkan kurye istemcide silinir
+      if (!isInsideBbox(feed.bbox, entry.lat, entry.lng)) {
+        if (previous) {
+          removed.push(entry.id);
+          feed.sent.delete(entry.id);
+        }
+        continue;
+      }
+
+      const delta = diffFeedEntry(previous, entry);
+      feed.sent.set(entry.id, entry);
+      if (delta) couriers.push(delta);
+    }
+    feed.pending.clear();
+
+    if (couriers.length > 0 || removed.length > 0) {
+      emitFeedFrame(socket, feed, couriers, removed);
+    }
+  }
+
+  function scheduleFeedFlush(socket, feed) {
+    if (feed.timer) return;
+
+    const wait = Math.max(0, feed.lastFlush + feed.intervalMs - Date.now());
+    feed.timer = setTimeout(() => {
+      feed.timer = null;
+      flushFeed(socket, feed);
+    }, wait);
+  }
+
+  // Aynı kuryenin frame aralığındaki güncellemelerinden yalnızca sonuncusu kalır
+  function onFeedMessage(message) {
+    let branchId;
+    let entry;
+    try {
+      ({ branchId, entry } = JSON.parse(message));
+    } catch (error) {
+      log.error('Akış mesajı okunamadı', { type: 'pubsub_error', channel: 'feed', err: error });
+      return;
+    }
+
+    for (const socket of feedSockets.get(branchId) || []) {
+      const feed = socket.feeds && socket.feeds.get(branchId);
+      if (!feed) continue;
+
+      feed.pending.set(entry.id, entry);
+      scheduleFeedFlush(socket, feed);
+    }
+  }
+
+  // Kanala yalnızca abonesi olan instance'lar bağlıdır
+  async function publishFeedUpdate(branchId, courierId, name, location, batteryLevel) {
+    await redis.publish(CONFIG.KEYS.FEED + branchId, JSON.stringify({
+      branchId,
+      entry: toFeedEntry(courierId, name, location, batteryLevel)
+    }));
+  }
+
+  // İlk listeyi görüş alanına göre süzer ve delta başlangıcı olarak kaydeder
+  async function subscribeFeed(socket, branchId, options, couriers) {
+    socket.feeds = socket.feeds || new Map();
+    const existing = socket.feeds.get(branchId);
+    if (existing) clearTimeout(existing.timer);
+
+    const feed = { branchId, ...options, pending: new Map(), sent: new Map(), timer: null, lastFlush: 0 };
+    socket.feeds.set(branchId, feed);
+    socket.join(feedRoom(branchId));
+
+    if (!feedSockets.has(branchId)) {
+      feedSockets.set(branchId, new Set());
+      await channelClient.subscribe(CONFIG.KEYS.FEED + branchId, onFeedMessage);
+    }
+    feedSockets.get(branchId).add(socket);
+
+    return couriers.filter(courier => {
+      if (!isValidCoordinate(courier.location)) return !feed.bbox;
+
+      const entry = toFeedEntry(courier.courierId, courier.name, courier.location, courier.batteryLevel);
+      if (!isInsideBbox(feed.bbox, entry.lat, entry.lng)) return false;
+      feed.sent.set(entry.id, entry);
+      return true;
+    });
+  }
+
+  // Yeni alana girenler tam kayıt, çıkanlar removed olarak hemen gönderilir
+  async function setFeedViewport(socket, feed, bbox) {
+    feed.bbox = bbox;
+    const { couriers } = await getBranchCourierList(feed.branchId);
+    const added = [];
+    const removed = [];
+
+    for (const courier of couriers) {
+      if (!isValidCoordinate(courier.location) || feed.sent.has(courier.courierId)) continue;
+
+      const entry = toFeedEntry(courier.courierId, courier.name, courier.location, courier.batteryLevel);
+      if (isInsideBbox(bbox, entry.lat, entry.lng)) {
+        added.push(entry);
+        feed.sent.set(entry.id, entry);
+      }
+    }
+
+    for (const [courierId, entry] of feed.sent) {
+      if (!isInsideBbox(bbox, entry.lat, entry.lng)) {
+        removed.push(courierId);
+        feed.sent.delete(courierId);
+      }
+    }
+
+    emitFeedFrame(socket, feed, added, removed);
+  }
+
+  async function unsubscribeFeeds(socket) {
+    for (const [branchId, feed] of socket.feeds || []) {
+      clearTimeout(feed.timer);
+
+      const sockets = feedSockets.get(branchId);
+      if (!sockets) continue;
+      sockets.delete(socket);
+      if (sockets.size === 0) {
+        feedSockets.delete(branchId);
+        await channelClient.unsubscribe(CONFIG.KEYS.FEED + branchId);
+      }
+    }
+    socket.feeds = null;
+  }
+
+  // ==================== ADMIN OTURUM YÖNETİMİ ====================
+
+  async function recordAudit(req, action, target, details = {}) {
+    const entry = {
+      id: crypto.randomUUID(),
+      action,
+      actor: { role: req.auth.role, subject: req.auth.subject },
+      ip: req.ip,
+      target,
+      details,
+      instanceId: localMetrics.instanceId,
+      requestId: req.id,
+      timestamp: new Date().toISOString()
+    };
+
+    await redis.multi()
+      .lPush(CONFIG.KEYS.AUDIT_LOG, JSON.stringify(entry))
+      .lTrim(CONFIG.KEYS.AUDIT_LOG, 0, CONFIG.MAX_AUDIT_ENTRIES - 1)
+      .exec();
+    return entry;
+  }
+
+  // fetchSockets sonucu (yerel veya uzak socket)
+  function describeSocket(socket) {
+    const { auth, ip, instanceId, connectedAt, courierId, appVersion, platform } = socket.data;
+    return {
+      socketId: socket.id,
+      role: auth.role,
+      instanceId,
+      ip,
+      connectedAt,
+      courierId: courierId || null,
+      appVersion: appVersion || null,
+      platform: platform || null,
+      branchIds: [...socket.rooms].filter(r => r.startsWith('branch:')).map(r => r.slice('branch:'.length))
+    };
+  }
+
+  // Şube değişikliği kuryenin bağlı olduğu instance'taki yerel socket bilgisine de yansır
+  function applyCourierMove(socketId, branchId) {
+    const socket = io.of('/').sockets.get(socketId);
+    if (socket) socket.branchId = branchId;
+  }
+
+  io.on('courier:moved', applyCourierMove);
+
+  // Tüm instance'lardaki bağlantılar
+  app.get('/admin/sockets', requireAuth('admin'), async (req, res) => {
+    try {
+      const { role, branchId, instanceId } = req.query;
+      const { offset, limit } = parsePagination(req.query);
+
+      const sockets = (await io.fetchSockets())
+        .map(describeSocket)
+        .filter(s => (!role || s.role === role) &&
+          (!branchId || s.branchIds.includes(branchId)) &&
+          (!instanceId || s.instanceId === instanceId))
+        .sort((a, b) => a.connectedAt.localeCompare(b.connectedAt));
+
+      res.set('X-Total-Count', String(sockets.length));
+      res.json(sockets.slice(offset, offset + limit));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Kurye kaydı önce silinir; böylece disconnect handler'ı ikinci kez offline yaymaz
+  app.post('/admin/couriers/:courierId/disconnect', requireAuth('admin'), async (req, res) => {
+    try {
+      const { courierId } = req.params;
+      const reason = (req.body && typeof req.body.reason === 'string' && req.body.reason) || 'Disconnected by admin';
+
+      const courier = await getCourier(courierId);
+      if (!courier) {
+        return res.status(404).json({ error: 'Courier not connected' });
+      }
+
+      await recordSessionEnd(courierId, courier);
+      await removeCourierFromBranch(courier.branchId, courierId);
+      await deleteCourier(courierId);
+      await archiveRecords([eventArchiveRecord('offline', courierId, courier.branchId, 'admin disconnect')]);
+
+      io.to(courier.socketId).emit('courier:kicked', { reason });
+      io.in(courier.socketId).disconnectSockets(true);
+
+      // Hash silindiği için disconnect handler'ı offline yolunu çalıştırmaz; bildirim burada
+      io.to(`branch:${courier.branchId}`).emit('courier:offline', {
+        courierId,
+        name: courier.name,
+        reason: 'admin disconnect',
+        timestamp: new Date().toISOString()
+      });
+      await dispatchWebhookEvent('courier.offline', courier.branchId, {
+        courierId,
+        name: courier.name,
+        reason: 'admin disconnect'
+      });
+
+      const entry = await recordAudit(req, 'courier.disconnect', { courierId }, {
+        branchId: courier.branchId,
+        socketId: courier.socketId,
+        reason
+      });
+
+      res.json({ success: true, courierId, auditId: entry.id });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Uygulama yeniden bağlanmadan şube değişir; oda üyelikleri adapter üzerinden taşınır
+  app.post('/admin/couriers/:courierId/move', requireAuth('admin'), async (req, res) => {
+    try {
+      const { courierId } = req.params;
+      const branchId = req.body && req.body.branchId;
+      if (!branchId || typeof branchId !== 'string') {
+        return res.status(400).json({ error: 'branchId is required' });
+      }
+
+      const courier = await getCourier(courierId);
+      if (!courier) {
+        return res.status(404).json({ error: 'Courier not connected' });
+      }
+
+      const fromBranchId = courier.branchId;
+      if (fromBranchId === branchId) {
+        return res.status(409).json({ error: 'Courier is already in this branch' });
+      }
+      if (!(await hasBranchCapacity(branchId, courierId))) {
+        return res.status(409).json({ error: 'Branch courier limit reached' });
+      }
+
+      // Kurye, şube setleri ve aktif siparişleri tek MULTI ile yeni şubeye geçer
+      const orders = await getCourierOrders(courierId);
+      const multi = redis.multi()
+        .sRem(CONFIG.KEYS.BRANCH + fromBranchId, courierId)
+        .zRem(CONFIG.KEYS.BRANCH_GEO + fromBranchId, courierId)
+        .hSet(CONFIG.KEYS.COURIER + courierId, 'branchId', branchId)
+        .hSet(CONFIG.KEYS.COURIER_BRANCH, courierId, branchId)
+        .sAdd(CONFIG.KEYS.BRANCH + branchId, courierId);
+      if (isValidCoordinate(courier.location)) {
+        multi.geoAdd(CONFIG.KEYS.BRANCH_GEO + branchId, {
+          longitude: courier.location.longitude,
+          latitude: courier.location.latitude,
+          member: courierId
+        });
+      }
+      for (const order of orders) {
+        multi.hSet(CONFIG.KEYS.ORDER + order.orderId, { branchId, updatedAt: new Date().toISOString() });
+      }
+      await multi.exec();
+      await exitBranchGeofences(courierId, courier, fromBranchId);
+
+      io.in(courier.socketId).socketsLeave(`branch:${fromBranchId}`);
+      io.in(courier.socketId).socketsJoin(`branch:${branchId}`);
+      applyCourierMove(courier.socketId, branchId);
+      io.serverSideEmit('courier:moved', courier.socketId, branchId);
+
+      const payload = {
+        courierId,
+        name: courier.name,
+        fromBranchId,
+        toBranchId: branchId,
+        orderIds: orders.map(o => o.orderId),
+        timestamp: new Date().toISOString()
+      };
+      io.to(courier.socketId).emit('courier:branch:changed', payload);
+      io.to([`branch:${fromBranchId}`, `branch:${branchId}`]).emit('courier:moved', payload);
+
+      const entry = await recordAudit(req, 'courier.move', { courierId }, { fromBranchId, toBranchId: branchId });
+
+      res.json({ ...payload, auditId: entry.id });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.get('/admin/audit', requireAuth('admin'), async (req, res) => {
+    try {
+      const { offset, limit } = parsePagination(req.query);
+      const [total, items] = await Promise.all([
+        redis.lLen(CONFIG.KEYS.AUDIT_LOG),
+        redis.lRange(CONFIG.KEYS.AUDIT_LOG, offset, offset + limit - 1)
+      ]);
+
+      res.set('X-Total-Count', String(total));
+      res.json(items.map(v => JSON.parse(v)));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // ==================== UYGULAMA SÜRÜMÜ ====================
+
+  // "1.2.3" / "v1.2" / "1.2.3-beta" -> { parts, prerelease }; okunamazsa null
+  function parseVersion(value) {
+    const match = /^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?(-[0-9A-Za-z.-]+)?$/.exec(String(value || '').trim());
+    if (!match) return null;
+    return {
+      parts: [match[1], match[2] || 0, match[3] || 0].map(Number),
+      prerelease: !!match[4]
+    };
+  }
+
+  // Ön sürüm, aynı numaralı kararlı sürümden küçüktür
+  function compareVersions(a, b) {
+    for (let i = 0; i < 3; i++) {
+      if (a.parts[i] !== b.parts[i]) return a.parts[i] < b.parts[i] ? -1 : 1;
+    }
+    if (a.prerelease !== b.prerelease) return a.prerelease ? -1 : 1;
+    return 0;
+  }
+
+  function normalizePlatform(platform) {
+    return String(platform || 'unknown').toLowerCase();
+  }
+
+  // Hata mesajı veya normalize edilmiş politika döner
+  function parseVersionPolicy(body) {
+    const { minimum, recommended, updateUrl, message } = body || {};
+
+    if (minimum === undefined && recommended === undefined) {
+      return { error: 'minimum or recommended is required' };
+    }
+    for (const [field, value] of Object.entries({ minimum, recommended })) {
+      if (value !== undefined && !parseVersion(value)) return { error: `${field} must be a version like 1.4.0` };
+    }
+    if (minimum && recommended && compareVersions(parseVersion(recommended), parseVersion(minimum)) < 0) {
+      return { error: 'recommended must not be lower than minimum' };
+    }
+    if (updateUrl !== undefined) {
+      try {
+        new URL(updateUrl);
+      } catch {
+        return { error: 'updateUrl must be a valid URL' };
+      }
+    }
+    if (message !== undefined && (typeof message !== 'string' || message.length > 500)) {
+      return { error: 'message must be a string up to 500 characters' };
+    }
+
+    return {
+      policy: {
+        minimum: minimum || null,
+        recommended: recommended || null,
+        updateUrl: updateUrl || null,
+        message: message || null
+      }
+    };
+  }
+
+  async function getVersionPolicies() {
+    const data = await redis.hGetAll(CONFIG.KEYS.APP_VERSIONS);
+    return Object.fromEntries(Object.entries(data || {}).map(([platform, v]) => [platform, JSON.parse(v)]));
+  }
+
+  async function getVersionPolicy(platform) {
+    const value = await redis.hGet(CONFIG.KEYS.APP_VERSIONS, normalizePlatform(platform));
+    return value ? JSON.parse(value) : null;
+  }
+
+  // 'required' | 'available' | null; okunamayan sürüm eski sayılır
+  function checkAppVersion(policy, appVersion) {
+    if (!policy) return null;
+
+    const current = parseVersion(appVersion);
+    if (policy.minimum && (!current || compareVersions(current, parseVersion(policy.minimum)) < 0)) {
+      return 'required';
+    }
+    if (policy.recommended && (!current || compareVersions(current, parseVersion(policy.recommended)) < 0)) {
+      return 'available';
+    }
+    return null;
+  }
+
+  function versionNotice(policy, platform, appVersion) {
+    return {
+      platform: normalizePlatform(platform),
+      currentVersion: appVersion || null,
+      minimumVersion: policy.minimum,
+      recommendedVersion: policy.recommended,
+      updateUrl: policy.updateUrl,
+      message: policy.message
+    };
+  }
+
+  // İstemci bildirimi onaylayınca (en geç UPDATE_REQUIRED_DISCONNECT_MS sonra) koparılır;
+  // hemen koparmak event'in istemciye ulaşmasını engelleyebilir
+  function rejectOutdatedCourier(socket, notice) {
+    socket.timeout(CONFIG.UPDATE_REQUIRED_DISCONNECT_MS).emit('courier:update_required', notice, () => {
+      socket.disconnect(true);
+    });
+  }
+
+  // Minimumun altındaki bağlı kuryeler koparılır, önerilenin altındakiler bilgilendirilir
+  async function notifyOutdatedCouriers(platform, policy) {
+    let notified = 0;
+
+    for (const socket of await io.fetchSockets()) {
+      const { courierId, appVersion } = socket.data;
+      if (!courierId || normalizePlatform(socket.data.platform) !== platform) continue;
+
+      const status = checkAppVersion(policy, appVersion);
+      if (!status) continue;
+
+      const notice = versionNotice(policy, platform, appVersion);
+      if (status === 'required') {
+        rejectOutdatedCourier(socket, notice);
+      } else {
+        socket.emit('courier:update_available', notice);
+      }
+      notified++;
+    }
+    return notified;
+  }
+
+  app.get('/app-versions', requireAuth('panel', 'admin'), async (req, res) => {
+    try {
+      res.json(await getVersionPolicies());
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.put('/app-versions/:platform', requireAuth('admin'), async (req, res) => {
+    try {
+      const platform = normalizePlatform(req.params.platform);
+      const { policy, error } = parseVersionPolicy(req.body);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const saved = { ...policy, updatedAt: new Date().toISOString() };
+      await redis.hSet(CONFIG.KEYS.APP_VERSIONS, platform, JSON.stringify(saved));
+      await recordAudit(req, 'app_version.update', { platform }, policy);
+
+      const notified = await notifyOutdatedCouriers(platform, saved);
+      res.json({ platform, ...saved, notified });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.delete('/app-versions/:platform', requireAuth('admin'), async (req, res) => {
+    try {
+      const platform = normalizePlatform(req.params.platform);
+      const removed = await redis.hDel(CONFIG.KEYS.APP_VERSIONS, platform);
+      if (!removed) {
+        return res.status(404).json({ error: 'Version policy not found' });
+      }
+
+      await recordAudit(req, 'app_version.delete', { platform });
+      res.status(204).end();
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Bağlı kuryelerin platform/sürüm dağılımı (yeniden eskiye)
+  app.get('/stats/app-versions', requireAuth('panel', 'admin'), async (req, res) => {
+    try {
+      const { branchId } = req.query;
+      const allowed = branchId
+        ? canAccessBranch(req.auth, branchId)
+        : req.auth.role === 'admin' || req.auth.branchIds === '*';
+      if (!allowed) {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+
+      const courierIds = branchId
+        ? await getBranchCouriers(branchId)
+        : await redis.zRange(CONFIG.KEYS.ACTIVE_COURIERS, 0, -1);
+      const rows = await Promise.all(
+        courierIds.map(id => redis.hmGet(CONFIG.KEYS.COURIER + id, ['platform', 'appVersion']))
+      );
+
+      const counts = {};
+      let total = 0;
+      for (const [platform, appVersion] of rows) {
+        if (!platform && !appVersion) continue; // Hash'i düşmüş kurye
+
+        const byVersion = counts[normalizePlatform(platform)] = counts[normalizePlatform(platform)] || {};
+        const version = appVersion || 'unknown';
+        byVersion[version] = (byVersion[version] || 0) + 1;
+        total++;
+      }
+
+      const policies = await getVersionPolicies();
+      const platforms = Object.entries(counts).map(([platform, byVersion]) => ({
+        platform,
+        total: Object.values(byVersion).reduce((sum, n) => sum + n, 0),
+        policy: policies[platform] || null,
+        versions: Object.entries(byVersion)
+          .map(([version, count]) => ({
+            version,
+            count,
+            status: checkAppVersion(policies[platform], version) || 'ok'
+          }))
+          .sort((a, b) => {
+            const va = parseVersion(a.version);
+            const vb = parseVersion(b.version);
+            if (!va || !vb) return va ? -1 : (vb ? 1 : 0);
+            return compareVersions(vb, va);
+          })
+      }));
+
+      res.json({ branchId: branchId || null, total, platforms, timestamp: new Date().toISOString() });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // ==================== CONFIG YÖNETİMİ ====================
+
+  async function getRuntimeConfig() {
+    const value = await redis.get(CONFIG.KEYS.RUNTIME_CONFIG);
+    return value ? JSON.parse(value) : null;
+  }
+
+  // Dosya, env ve Redis'teki ayarlar yeniden okunur; hatalıysa mevcut config korunur
+  async function reloadConfig() {
+    const loaded = loadConfig(await getRuntimeConfig());
+    if (loaded.errors.length > 0) {
+      throw new Error(loaded.errors.join('; '));
+    }
+
+    const result = applyConfig(CONFIG, loaded);
+    branchConfig = loaded.branches;
+    log.info('Config yenilendi', { changed: result.changed });
+    if (result.restartRequired.length > 0) {
+      log.warn('Yeniden başlatma gerekli', { type: 'restart_required', keys: result.restartRequired });
+    }
+    return result;
+  }
+
+  // Önce yerelde uygulanır; diğer instance'lar kanal üzerinden yeniler
+  async function broadcastConfigReload(reason) {
+    const result = await reloadConfig();
+    await redis.publish(CONFIG.KEYS.CONFIG_CHANNEL, JSON.stringify({ origin: localMetrics.instanceId, reason }));
+    return result;
+  }
+
+  function onConfigMessage(message) {
+    let origin;
+    let reason;
+    try {
+      ({ origin, reason } = JSON.parse(message));
+    } catch (error) {
+      log.error('Config mesajı okunamadı', { type: 'pubsub_error', channel: CONFIG.KEYS.CONFIG_CHANNEL, err: error });
+      return;
+    }
+    if (origin === localMetrics.instanceId) return;
+
+    reloadConfig().catch(error => {
+      log.error('Config yenilenemedi', { type: 'config_error', reason, err: error });
+    });
+  }
+
+  // Etkin değerler; AUTH_SECRET gibi şemada olmayan alanlar dönmez
+  function describeConfig() {
+    const values = {};
+    for (const path of Object.keys(CONFIG_SCHEMA)) {
+      values[path] = getConfigPath(CONFIG, path);
+    }
+    return { values, branches: branchConfig, file: process.env.CONFIG_FILE || null };
+  }
+
+  app.get('/admin/config', requireAuth('admin'), async (req, res) => {
+    try {
+      res.json({ ...describeConfig(), runtime: await getRuntimeConfig() });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Çalışma zamanı katmanının tamamını değiştirir ({} = temizle)
+  app.put('/admin/config/runtime', requireAuth('admin'), async (req, res) => {
+    try {
+      const runtime = req.body || {};
+      const { errors } = loadConfig(runtime);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid configuration', details: errors });
+      }
+
+      await redis.set(CONFIG.KEYS.RUNTIME_CONFIG, JSON.stringify(runtime));
+      const result = await broadcastConfigReload('admin');
+      await recordAudit(req, 'config.update', { key: CONFIG.KEYS.RUNTIME_CONFIG }, runtime);
+
+      res.json({ ...describeConfig(), ...result });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.post('/admin/config/reload', requireAuth('admin'), async (req, res) => {
+    try {
+      const result = await broadcastConfigReload('admin');
+      await recordAudit(req, 'config.reload', { instanceId: localMetrics.instanceId }, result);
+
+      res.json({ ...describeConfig(), ...result });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // ==================== SOCKET.IO HANDLERS ====================
+
+  io.on('connection', async (socket) => {
+    const clientIP = clientAddress(socket);
+
+    // fetchSockets ile diğer instance'lardan da okunur
+    socket.data.ip = clientIP;
+    socket.data.instanceId = localMetrics.instanceId;
+    socket.data.connectedAt = new Date().toISOString();
+
+    // Kurye/şube bilindiğinde bağlam genişletilir
+    socket.log = log.child({ socketId: socket.id });
+
+    // Ban'da istemcinin tüm socket'lerine odadan ulaşılır
+    const subject = abuseSubject(socket.data.auth, clientIP);
+    socket.join(subjectRoom(subject));
+    socket.use(socketRateLimiter(socket, subject));
+
+    localMetrics.connections++;
+    promMetrics.connections.inc();
+
+    socket.log.debug('Yeni bağlantı', { event: 'connection', ip: clientIP, role: socket.data.auth.role });
+
+    // ==================== KURYE BAĞLANTISI ====================
+
+    socket.on('courier:connect', tracked(async (data) => {
+      try {
+        const { courierId, branchId, name, appVersion, platform } = data;
+
+        if (!courierId || !branchId) {
+          socket.emit('error', { message: 'Missing courierId or branchId' });
+          return;
+        }
+
+        const { auth } = socket.data;
+        if (!isOwnCourier(auth, courierId) || !canAccessBranch(auth, branchId)) {
+          socket.emit('error', { message: 'Forbidden: courierId/branchId does not match token' });
+          return;
+        }
+
+        // Minimum sürümün altındaki uygulama kaydedilmez
+        const versionPolicy = await getVersionPolicy(platform);
+        const versionStatus = checkAppVersion(versionPolicy, appVersion);
+        if (versionStatus === 'required') {
+          socket.log.info('Eski sürüm reddedildi', { event: 'courier:connect', courierId, branchId, platform, appVersion });
+          rejectOutdatedCourier(socket, versionNotice(versionPolicy, platform, appVersion));
+          return;
+        }
+
+        if (!(await hasBranchCapacity(branchId, courierId))) {
+          socket.emit('error', { message: 'Branch courier limit reached' });
+          return;
+        }
+
+        socket.log = log.child({ socketId: socket.id, courierId, branchId });
+        socket.log.info('Kurye bağlandı', { event: 'courier:connect', name, platform, appVersion });
+
+        // Eski bağlantıyı kontrol et
+        const existingCourier = await getCourier(courierId);
+        if (existingCourier && existingCourier.socketId !== socket.id) {
+          // Eski socket'e bildir (farklı instance'da olabilir)
+          io.to(existingCourier.socketId).emit('courier:kicked', { reason: 'New connection' });
+          // Eski socket'in disconnect'i oturumu kapatmaz; açıksa burada kapanır
+          await recordSessionEnd(courierId, existingCourier);
+        }
+        if (existingCourier && existingCourier.branchId !== branchId) {
+          await removeCourierFromBranch(existingCourier.branchId, courierId);
+          await exitBranchGeofences(courierId, existingCourier, existingCourier.branchId);
+        }
+
+        // Redis'e kaydet
+        await setCourier(courierId, {
+          socketId: socket.id,
+          branchId,
+          name,
+          location: null,
+          batteryLevel: 100,
+          status: existingCourier ? existingCourier.status : 'available',
+          connectedAt: Date.now(),
+          platform: platform || 'unknown',
+          appVersion: appVersion || 'unknown'
+        }, { startSession: true });
+
+        // Şube listesine ekle
+        await addCourierToBranch(branchId, courierId);
+        await recordSessionStart(courierId, branchId);
+        await archiveRecords([eventArchiveRecord('online', courierId, branchId)]);
+
+        // Socket metadata
+        socket.courierId = courierId;
+        socket.branchId = branchId;
+        socket.courierName = name;
+        Object.assign(socket.data, { courierId, appVersion: appVersion || 'unknown', platform: platform || 'unknown' });
+
+        // Şube odasına katıl
+        socket.join(`branch:${branchId}`);
+
+        // Onay gönder
+        socket.emit('courier:connected', {
+          success: true,
+          message: 'Bağlantı başarılı',
+          courierId,
+          serverTime: new Date().toISOString(),
+          instance: localMetrics.instanceId
+        });
+
+        if (versionStatus === 'available') {
+          socket.emit('courier:update_available', versionNotice(versionPolicy, platform, appVersion));
+        }
+
+        // Yeniden bağlanan kuryeye aktif siparişleri ve bekleyen mesajları
+        socket.emit('orders:active', await getCourierOrders(courierId));
+        await deliverPendingMessages(socket, courierId, branchId);
+
+        // Şubeye bildir (tüm instance'lara)
+        io.to(`branch:${branchId}`).emit('courier:online', {
+          courierId,
+          name,
+          branchId,
+          timestamp: new Date().toISOString()
+        });
+
+        await dispatchWebhookEvent('courier.online', branchId, {
+          courierId,
+          name,
+          platform: platform || 'unknown',
+          appVersion: appVersion || 'unknown'
+        });
+
+      } catch (error) {
+        socket.log.error('Handler hatası', { type: 'handler_error', event: 'courier:connect', err: error });
+        socket.emit('error', { message: 'Connection failed' });
+      }
+    }));
+
+    // ==================== KONUM GÜNCELLEMESİ ====================
+
+    socket.on('courier:location', tracked(async (data) => {
+      const endTimer = promMetrics.handlerDuration.startTimer({ event: 'courier:location' });
+      try {
+        const { courierId } = data || {};
+
+        if (!courierId) {
+          return;
+        }
+
+        if (!isOwnCourier(socket.data.auth, courierId)) {
+          return;
+        }
+
+        // Şema doğrulama
+        const { point, errors } = validateLocation(data);
+        if (errors.length > 0) {
+          socket.emit('courier:location:rejected', { code: 'VALIDATION_FAILED', errors });
+          return;
+        }
+
+        // Rate limit
+        const allowed = await checkRateLimit(courierId, socket.branchId);
+        if (!allowed) {
+          promMetrics.rateLimited.inc({ event: 'courier:location' });
+          const ttl = await redis.ttl(CONFIG.KEYS.RATE_LIMIT + courierId);
+          socket.log.warn('Konum limiti aşıldı', { type: 'rate_limited', scope: 'courier', event: 'courier:location', courierId });
+          socket.emit('rate_limited', { event: 'courier:location', retryAfterMs: Math.max(ttl, 0) * 1000, banned: false });
+          return;
+        }
+
+        const courier = await getCourier(courierId);
+        if (!courier) {
+          socket.emit('error', { message: 'Courier not registered. Please reconnect.' });
+          return;
+        }
+
+        // Doğruluk, sıçrama ve yumuşatma filtreleri
+        const { point: filtered, rejected } = runLocationPipeline(point, courier.location);
+        if (rejected) {
+          socket.emit('courier:location:rejected', { ...rejected, timestamp: point.timestamp });
+          return;
+        }
+
+        const { batteryLevel: pointBattery, ...locationData } = filtered;
+        const batteryLevel = pointBattery ?? courier.batteryLevel;
+
+        // Redis güncelle
+        await setCourier(courierId, {
+          ...courier,
+          socketId: socket.id,
+          location: locationData,
+          locationAt: Date.now(),
+          batteryLevel
+        });
+
+        // Konum geçmişine ekle
+        await addLocationHistory(courierId, locationData, courier.branchId);
+        await recordLocationStats(courierId, courier.branchId, courier.location, locationData);
+        await archiveRecords([
+          locationArchiveRecord(courierId, courier.branchId, locationData, batteryLevel)
+        ]);
+
+        // Metrics
+        localMetrics.locationsReceived++;
+        promMetrics.locations.inc({ branch: courier.branchId });
+        await updateGlobalMetrics('totalLocations');
+
+        // Şubeye broadcast (tüm instance'lara Redis üzerinden)
+        branchLocationTarget(courier.branchId).emit('courier:location:update', {
+          courierId,
+          name: courier.name,
+          ...locationData,
+          batteryLevel,
+          serverTimestamp: new Date().toISOString()
+        });
+        await publishFeedUpdate(courier.branchId, courierId, courier.name, locationData, batteryLevel);
+
+        // Müşteri takip abonelerine
+        emitTrackingUpdate(io.to(trackingCourierRoom(courierId)), courierId, locationData);
+
+        // Geofence giriş/çıkış
+        await evaluateGeofences(courierId, courier, locationData);
+
+        // Hedefe kalan süre
+        await broadcastEta(courierId, courier, locationData);
+
+        await notifyLowBattery(courierId, courier, batteryLevel);
+
+      } catch (error) {
+        socket.log.error('Handler hatası', { type: 'handler_error', event: 'courier:location', err: error });
+      } finally {
+        endTimer();
+      }
+    }));
+
+    // ==================== BATCH KONUM ====================
+
+    socket.on('courier:location:batch', tracked(async (data) => {
+      const endTimer = promMetrics.handlerDuration.startTimer({ event: 'courier:location:batch' });
+      try {
+        const { courierId, locations } = data || {};
+
+        if (!courierId || !Array.isArray(locations)) {
+          return;
+        }
+
+        if (!isOwnCourier(socket.data.auth, courierId)) {
+          return;
+        }
+
+        const courier = await getCourier(courierId);
+        if (!courier) {
+          socket.emit('error', { message: 'Courier not registered' });
+          return;
+        }
+
+        const batch = locations.slice(0, branchSetting(courier.branchId, 'MAX_BATCH_SIZE'));
+        socket.log.debug('Batch alındı', { event: 'courier:location:batch', count: batch.length });
+
+        // Her nokta doğrulanır ve sırayla filtrelerden geçer
+        const validLocations = [];
+        const rejected = [];
+        let previous = courier.location;
+        let batteryLevel = courier.batteryLevel;
+
+        batch.forEach((raw, index) => {
+          const { point, errors } = validateLocation(raw);
+          if (errors.length > 0) {
+            rejected.push({ index, code: 'VALIDATION_FAILED', errors });
+            return;
+          }
+
+          const result = runLocationPipeline(point, previous);
+          if (result.rejected) {
+            rejected.push({ index, ...result.rejected });
+            return;
+          }
+
+          const { batteryLevel: pointBattery, ...loc } = result.point;
+          batteryLevel = pointBattery ?? batteryLevel;
+          validLocations.push(loc);
+          previous = loc;
+        });
+
+        // Son konumu güncelle
+        if (validLocations.length > 0) {
+          const lastLoc = validLocations[validLocations.length - 1];
+          await setCourier(courierId, {
+            ...courier,
+            socketId: socket.id,
+            location: lastLoc,
+            locationAt: Date.now(),
+            batteryLevel
+          });
+
+          // Tüm konumları geçmişe ekle
+          let prev = courier.location;
+          for (const loc of validLocations) {
+            await addLocationHistory(courierId, loc, courier.branchId);
+            await recordLocationStats(courierId, courier.branchId, prev, loc);
+            prev = loc;
+          }
+          await archiveRecords(validLocations.map(loc => locationArchiveRecord(courierId, courier.branchId, loc, batteryLevel)));
+        }
+
+        localMetrics.batchesReceived++;
+        promMetrics.batches.inc({ branch: courier.branchId });
+        promMetrics.locations.inc({ branch: courier.branchId }, validLocations.length);
+        await updateGlobalMetrics('totalBatches');
+
+        // Şubeye gönder
+        branchLocationTarget(courier.branchId).emit('courier:location:batch', {
+          courierId,
+          name: courier.name,
+          locations: validLocations,
+          serverTimestamp: new Date().toISOString()
+        });
+
+        if (validLocations.length > 0) {
+          await publishFeedUpdate(courier.branchId, courierId, courier.name, validLocations[validLocations.length - 1], batteryLevel);
+          emitTrackingUpdate(io.to(trackingCourierRoom(courierId)), courierId, validLocations[validLocations.length - 1]);
+        }
+
+        // Geofence giriş/çıkış (sırayla, batch içindeki geçişler de yakalanır)
+        for (const loc of validLocations) {
+          await evaluateGeofences(courierId, courier, loc);
+        }
+
+        if (validLocations.length > 0) {
+          await broadcastEta(courierId, courier, validLocations[validLocations.length - 1]);
+        }
+
+        // Onay
+        socket.emit('courier:batch:ack', {
+          received: batch.length,
+          accepted: validLocations.length,
+          rejected,
+          timestamp: new Date().toISOString()
+        });
+
+        await notifyLowBattery(courierId, courier, batteryLevel);
+        await dispatchWebhookEvent('courier.batch_completed', courier.branchId, {
+          courierId,
+          name: courier.name,
+          received: batch.length,
+          accepted: validLocations.length,
+          rejected: rejected.length
+        });
+
+      } catch (error) {
+        socket.log.error('Handler hatası', { type: 'handler_error', event: 'courier:location:batch', err: error });
+      } finally {
+        endTimer();
+      }
+    }));
+
+    // ==================== KURYE DURUMU ====================
+
+    socket.on('courier:status', tracked(async (data) => {
+      try {
+        const { courierId, status } = data || {};
+        if (!courierId || !COURIER_STATUSES.includes(status)) {
+          socket.emit('error', { message: `status must be one of: ${COURIER_STATUSES.join(', ')}` });
+          return;
+        }
+
+        if (!isOwnCourier(socket.data.auth, courierId)) {
+          return;
+        }
+
+        const courier = await getCourier(courierId);
+        if (!courier) {
+          socket.emit('error', { message: 'Courier not registered. Please reconnect.' });
+          return;
+        }
+
+        const { error } = await changeCourierStatus(courierId, courier, status);
+        if (error) {
+          socket.emit('error', { message: error, status: courier.status });
+        }
+
+      } catch (error) {
+        socket.log.error('Handler hatası', { type: 'handler_error', event: 'courier:status', err: error });
+      }
+    }));
+
+    // ==================== POS BAĞLANTISI ====================
+
+    socket.on('pos:connect', tracked(async (data) => {
+      try {
+        const { branchId, posName, status, feed } = data;
+        if (!branchId) {
+          socket.emit('error', { message: 'Missing branchId' });
+          return;
+        }
+
+        const statuses = parseStatusFilter(status);
+        if (statuses === false) {
+          socket.emit('error', { message: `status must be one of: ${COURIER_STATUSES.join(', ')}` });
+          return;
+        }
+
+        const { options: feedOptions, error: feedError } = feed ? parseFeedOptions(feed) : {};
+        if (feedError) {
+          socket.emit('error', { message: feedError });
+          return;
+        }
+
+        const { auth } = socket.data;
+        if (!['pos', 'admin'].includes(auth.role) || !canAccessBranch(auth, branchId)) {
+          socket.emit('error', { message: 'Forbidden: branch not allowed' });
+          return;
+        }
+
+        socket.log = log.child({ socketId: socket.id, branchId });
+        socket.log.debug('POS bağlandı', { event: 'pos:connect', posName });
+
+        socket.join([`branch:${branchId}`, staffRoom(branchId)]);
+        socket.branchId = branchId;
+        socket.isPos = true;
+        socket.posName = posName;
+
+        // Şubenin kuryelerini gönder
+        let { couriers } = await getBranchCourierList(branchId, { statuses });
+        if (feedOptions) {
+          couriers = await subscribeFeed(socket, branchId, feedOptions, couriers);
+        }
+
+        // POS'a mevcut kuryelerin listesini gönder
+        socket.emit('couriers:list', couriers);
+
+        // Bağlantı onayı
+        socket.emit('pos:connected', {
+          success: true,
+          branchId,
+          courierCount: couriers.length,
+          serverTime: new Date().toISOString()
+        });
+
+      } catch (error) {
+        socket.log.error('Handler hatası', { type: 'handler_error', event: 'pos:connect', err: error });
+        socket.emit('error', { message: 'POS connection failed' });
+      }
+    }));
+
+    // ==================== PANEL ABONELİĞİ ====================
+
+    socket.on('branch:subscribe', tracked(async (data) => {
+      try {
+        const { branchId, status, feed } = data;
+        if (!branchId) return;
+
+        const statuses = parseStatusFilter(status);
+        if (statuses === false) {
+          socket.emit('error', { message: `status must be one of: ${COURIER_STATUSES.join(', ')}` });
+          return;
+        }
+
+        const { auth } = socket.data;
+        if (!['pos', 'panel', 'admin'].includes(auth.role) || !canAccessBranch(auth, branchId)) {
+          socket.emit('error', { message: 'Forbidden: branch not allowed' });
+          return;
+        }
+
+        const { options: feedOptions, error: feedError } = feed ? parseFeedOptions(feed) : {};
+        if (feedError) {
+          socket.emit('error', { message: feedError });
+          return;
+        }
+
+        socket.log = log.child({ socketId: socket.id, branchId });
+        socket.log.debug('Panel abone oldu', { event: 'branch:subscribe' });
+
+        socket.join([`branch:${branchId}`, staffRoom(branchId)]);
+        socket.branchId = branchId;
+        socket.isPanel = true;
+
+        // Şubenin kuryelerini gönder
+        let { couriers } = await getBranchCourierList(branchId, { statuses });
+        if (feedOptions) {
+          couriers = await subscribeFeed(socket, branchId, feedOptions, couriers);
+        }
+
+        socket.emit('branch:couriers', couriers);
+
+      } catch (error) {
+        socket.log.error('Handler hatası', { type: 'handler_error', event: 'branch:subscribe', err: error });
+      }
+    }));
+
+    // Akış abonesinin harita görüş alanı (null = tüm şube)
+    socket.on('branch:viewport', tracked(async (data) => {
+      try {
+        const { branchId } = data || {};
+        const feed = socket.feeds && socket.feeds.get(branchId);
+        if (!feed) {
+          socket.emit('error', { message: 'Not subscribed to a feed for this branch' });
+          return;
+        }
+
+        const { bbox, error } = parseBbox(data.bbox);
+        if (error) {
+          socket.emit('error', { message: error });
+          return;
+        }
+
+        await setFeedViewport(socket, feed, bbox);
+      } catch (error) {
+        socket.log.error('Handler hatası', { type: 'handler_error', event: 'branch:viewport', err: error });
+      }
+    }));
+
+    // ==================== SİPARİŞ ATAMA ====================
+
+    socket.on('order:assign', tracked(async (data) => {
+      try {
+        const { orderId, courierId, destination, address, note } = data || {};
+        if (!orderId || !courierId) {
+          socket.emit('error', { message: 'Missing orderId or courierId' });
+          return;
+        }
+
+        const { auth } = socket.data;
+        if (!['pos', 'admin'].includes(auth.role)) {
+          socket.emit('error', { message: 'Forbidden: only POS can assign orders', orderId });
+          return;
+        }
+
+        if (destination && !isValidCoordinate(destination)) {
+          socket.emit('error', { message: 'Invalid destination', orderId });
+          return;
+        }
+
+        const courier = await getCourier(courierId);
+        if (!courier) {
+          socket.emit('error', { message: 'Courier is not online', orderId });
+          return;
+        }
+
+        const existing = await getOrder(orderId);
+        if (!canAccessBranch(auth, courier.branchId) || (existing && !canAccessBranch(auth, existing.branchId))) {
+          socket.emit('error', { message: 'Forbidden: branch not allowed', orderId });
+          return;
+        }
+
+        const { order, error } = await transitionOrder('order:assign', String(orderId), existing, {
+          branchId: courier.branchId,
+          courierId: String(courierId),
+          destination: destination ? { latitude: destination.latitude, longitude: destination.longitude } : null,
+          address: address || '',
+          note: note || ''
+        });
+        if (error) {
+          socket.emit('error', { message: error, orderId });
+          return;
+        }
+
+        // Başka kuryeye yeniden atama
+        if (existing && existing.courierId !== order.courierId) {
+          endTracking(existing, 'Reassigned');
+          await unlinkOrderFromCourier(existing.courierId, order.orderId);
+          const previousCourier = await getCourier(existing.courierId);
+          if (previousCourier) {
+            io.to(previousCourier.socketId).emit('order:revoked', { orderId: order.orderId, reason: 'Reassigned' });
+          }
+        }
+
+        await linkOrderToCourier(order.courierId, order.orderId);
+
+        io.to(courier.socketId).emit('order:assigned', order);
+        broadcastOrderStatus(order);
+
+      } catch (error) {
+        socket.log.error('Handler hatası', { type: 'handler_error', event: 'order:assign', err: error });
+        socket.emit('error', { message: 'Order assignment failed' });
+      }
+    }));
+
+    // Kurye tarafı geçişler
+    for (const event of ['order:accept', 'order:pickup', 'order:delivered']) {
+      socket.on(event, tracked(async (data) => {
+        try {
+          const { orderId } = data || {};
+          if (!orderId) {
+            socket.emit('error', { message: 'Missing orderId' });
+            return;
+          }
+
+          const { auth } = socket.data;
+          const existing = await getOrder(orderId);
+          if (!existing || !isOwnCourier(auth, existing.courierId)) {
+            socket.emit('error', { message: 'Order is not assigned to this courier', orderId });
+            return;
+          }
+
+          const { order, error } = await transitionOrder(event, existing.orderId, existing);
+          if (error) {
+            socket.emit('error', { message: error, orderId });
+            return;
+          }
+
+          broadcastOrderStatus(order);
+
+          if (ORDER_FINAL_STATUSES.includes(order.status)) {
+            endTracking(order, 'Delivery ended');
+          }
+
+          // Sipariş kabulü -> busy, son teslimat -> returning (geçersiz geçişler sessizce atlanır)
+          const courier = await getCourier(auth.courierId);
+          if (courier && order.status === 'accepted') {
+            await changeCourierStatus(auth.courierId, courier, 'busy', 'Order accepted');
+          } else if (courier && order.status === 'delivered' && (await getCourierOrders(auth.courierId)).length === 0) {
+            await changeCourierStatus(auth.courierId, courier, 'returning', 'Order delivered');
+          }
+
+        } catch (error) {
+          socket.log.error('Handler hatası', { type: 'handler_error', event, err: error });
+          socket.emit('error', { message: 'Order update failed' });
+        }
+      }));
+    }
+
+    // ==================== MÜŞTERİ TAKİP ABONELİĞİ ====================
+
+    socket.on('tracking:subscribe', tracked(async (data) => {
+      try {
+        // Token payload'da veya handshake'te gelebilir
+        const auth = data && data.token ? verifyToken(data.token) : socket.data.auth;
+        if (!auth || auth.role !== 'tracking') {
+          socket.emit('error', { message: 'Invalid share token' });
+          return;
+        }
+
+        const order = await getOrder(auth.orderId);
+        if (!order || order.courierId !== auth.courierId || ORDER_FINAL_STATUSES.includes(order.status)) {
+          socket.emit('tracking:ended', { orderId: auth.orderId, reason: 'Delivery ended' });
+          return;
+        }
+
+        socket.join([trackingCourierRoom(auth.courierId), trackingOrderRoom(auth.orderId)]);
+
+        // Token süresi dolunca aboneliği bitir
+        const remainingMs = auth.exp * 1000 - Date.now();
+        socket.trackingTimers = socket.trackingTimers || [];
+        socket.trackingTimers.push(setTimeout(() => {
+          socket.emit('tracking:ended', { orderId: auth.orderId, reason: 'Token expired' });
+          socket.leave(trackingOrderRoom(auth.orderId));
+          socket.leave(trackingCourierRoom(auth.courierId));
+        }, Math.max(remainingMs, 0)));
+
+        socket.emit('tracking:subscribed', {
+          orderId: auth.orderId,
+          status: order.status,
+          expiresAt: new Date(auth.exp * 1000).toISOString()
+        });
+
+        const courier = await getCourier(auth.courierId);
+        if (courier && courier.location) {
+          emitTrackingUpdate(socket, auth.courierId, courier.location);
+        }
+
+      } catch (error) {
+        socket.log.error('Handler hatası', { type: 'handler_error', event: 'tracking:subscribe', err: error });
+        socket.emit('error', { message: 'Tracking subscription failed' });
+      }
+    }));
+
+    // ==================== YAKINDAKİ KURYELER ====================
+
+    socket.on('couriers:nearby', tracked(async (data) => {
+      try {
+        const { branchId, requestId } = data || {};
+        const { auth } = socket.data;
+        if (!['pos', 'panel', 'admin'].includes(auth.role) || !canAccessBranch(auth, branchId)) {
+          socket.emit('error', { message: 'Forbidden: branch not allowed', requestId });
+          return;
+        }
+
+        const { params, error } = parseNearbyParams(data);
+        if (error) {
+          socket.emit('error', { message: error, requestId });
+          return;
+        }
+
+        socket.emit('couriers:nearby', {
+          requestId: requestId || null,
+          branchId,
+          couriers: await findNearbyCouriers(branchId, params)
+        });
+
+      } catch (error) {
+        socket.log.error('Handler hatası', { type: 'handler_error', event: 'couriers:nearby', err: error });
+        socket.emit('error', { message: 'Nearby search failed' });
+      }
+    }));
+
+    // ==================== MESAJLAŞMA ====================
+
+    socket.on('message:send', tracked(async (data) => {
+      try {
+        const { courierId, branchId, text, clientMessageId } = data || {};
+        const { auth } = socket.data;
+
+        if (typeof text !== 'string' || !text.trim() || text.length > CONFIG.MAX_MESSAGE_LENGTH) {
+          socket.emit('error', { message: `text must be 1-${CONFIG.MAX_MESSAGE_LENGTH} characters`, clientMessageId });
+          return;
+        }
+
+        let message;
+
+        if (auth.role === 'courier') {
+          // Kurye cevabı: kendi şubesinin POS/panel'lerine
+          if (!socket.courierId) {
+            socket.emit('error', { message: 'Courier not registered. Please reconnect.', clientMessageId });
+            return;
+          }
+
+          message = await createMessage({
+            branchId: socket.branchId,
+            from: { role: 'courier', id: socket.courierId, name: socket.courierName },
+            to: { type: 'branch', branchId: socket.branchId },
+            recipients: ['branch'],
+            text
+          });
+          io.to(staffRoom(socket.branchId)).emit('message:new', message);
+
+        } else if (['pos', 'panel', 'admin'].includes(auth.role)) {
+          const from = { role: auth.role, id: socket.posName || auth.role };
+
+          if (courierId) {
+            // Offline kuryenin hash'i düşmüş olabilir; şube index'ten bulunur
+            const courier = await getCourier(courierId);
+            const targetBranchId = courier
+              ? courier.branchId
+              : (await redis.hGet(CONFIG.KEYS.COURIER_BRANCH, String(courierId))) || branchId;
+
+            if (!canAccessBranch(auth, targetBranchId)) {
+              socket.emit('error', { message: 'Forbidden: branch not allowed', clientMessageId });
+              return;
+            }
+
+            message = await createMessage({
+              branchId: targetBranchId,
+              from,
+              to: { type: 'courier', courierId: String(courierId) },
+              recipients: [String(courierId)],
+              text
+            });
+            await queueMessageForCouriers(message.recipients, message.messageId);
+            if (courier) {
+              io.to(courier.socketId).emit('message:new', message);
+            }
+
+          } else if (branchId) {
+            if (!canAccessBranch(auth, branchId)) {
+              socket.emit('error', { message: 'Forbidden: branch not allowed', clientMessageId });
+              return;
+            }
+
+            const courierIds = await getBranchCouriers(branchId);
+            message = await createMessage({
+              branchId,
+              from,
+              to: { type: 'branch', branchId },
+              recipients: courierIds,
+              text
+            });
+            await queueMessageForBranch(branchId, message);
+
+            const couriers = await getCouriers(courierIds);
+            couriers.forEach(c => io.to(c.socketId).emit('message:new', message));
+
+          } else {
+            socket.emit('error', { message: 'Missing courierId or branchId', clientMessageId });
+            return;
+          }
+
+        } else {
+          socket.emit('error', { message: 'Forbidden', clientMessageId });
+          return;
+        }
+
+        socket.emit('message:sent', {
+          messageId: message.messageId,
+          clientMessageId: clientMessageId || null,
+          recipients: message.recipients.length,
+          createdAt: message.createdAt
+        });
+
+      } catch (error) {
+        socket.log.error('Handler hatası', { type: 'handler_error', event: 'message:send', err: error });
+        socket.emit('error', { message: 'Message could not be sent' });
+      }
+    }));
+
+    // Teslim / okundu onayları
+    for (const status of ['delivered', 'read']) {
+      socket.on(`message:${status}`, tracked(async (data) => {
+        try {
+          const { messageId } = data || {};
+          const { auth } = socket.data;
+          const message = messageId ? await getMessage(messageId) : null;
+          if (!message) {
+            socket.emit('error', { message: 'Message not found', messageId });
+            return;
+          }
+
+          let recipient;
+          // Şube mesajı, gönderildiği an listede olmayan şube kuryelerine de gider
+          const branchRecipient = message.to.type === 'branch' && message.from.role !== 'courier' &&
+            canAccessBranch(auth, message.branchId);
+          if (auth.role === 'courier' && (message.recipients.includes(auth.courierId) || branchRecipient)) {
+            recipient = auth.courierId;
+          } else if (['pos', 'panel', 'admin'].includes(auth.role) && message.to.type === 'branch' &&
+            message.from.role === 'courier' && canAccessBranch(auth, message.branchId)) {
+            recipient = 'branch';
+          } else {
+            socket.emit('error', { message: 'Forbidden', messageId });
+            return;
+          }
+
+          const receipt = await setMessageReceipt(messageId, recipient, status);
+          if (recipient !== 'branch') {
+            await redis.lRem(CONFIG.KEYS.INBOX + recipient, 0, messageId);
+          }
+          if (!receipt) return;
+
+          const payload = { messageId, recipient, status, ...receipt };
+          if (message.from.role === 'courier') {
+            const sender = await getCourier(message.from.id);
+            if (sender) io.to(sender.socketId).emit('message:receipt', payload);
+          } else {
+            io.to(staffRoom(message.branchId)).emit('message:receipt', payload);
+          }
+
+        } catch (error) {
+          socket.log.error('Handler hatası', { type: 'handler_error', event: `message:${status}`, err: error });
+        }
+      }));
+    }
+
+    // ==================== BAĞLANTI KOPUŞU ====================
+
+    socket.on('disconnect', tracked(async (reason) => {
+      localMetrics.disconnections++;
+      promMetrics.disconnections.inc();
+      (socket.trackingTimers || []).forEach(clearTimeout);
+      if (socket.courierId) etaTargets.delete(socket.courierId);
+
+      // Buradaki hata kuryenin offline/devir adımlarını atlatmamalı
+      try {
+        await unsubscribeFeeds(socket);
+        if (socket.data.connectionKey) {
+          await redis.zRem(socket.data.connectionKey, socket.id);
+        }
+        await updateGlobalMetrics('totalDisconnections');
+      } catch (error) {
+        socket.log.error('Handler hatası', { type: 'handler_error', event: 'disconnect', err: error });
+      }
+
+      socket.log.debug('Bağlantı koptu', { event: 'disconnect', reason });
+
+      if (socket.courierId) {
+        try {
+          const courier = await getCourier(socket.courierId);
+
+          if (courier && courier.socketId === socket.id && draining) {
+            // Planlı kapanış: kurye başka instance'a geçecek; offline bildirilmez, TTL kısaltılmaz
+            await recordSessionEnd(socket.courierId, courier);
+            socket.log.info('Kurye devrediliyor', { event: 'disconnect', reason });
+          } else if (courier && courier.socketId === socket.id) {
+            // Şubeye bildir
+            io.to(`branch:${courier.branchId}`).emit('courier:offline', {
+              courierId: socket.courierId,
+              name: courier.name,
+              reason,
+              timestamp: new Date().toISOString()
+            });
+            await dispatchWebhookEvent('courier.offline', courier.branchId, {
+              courierId: socket.courierId,
+              name: courier.name,
+              reason
+            });
+
+            await recordSessionEnd(socket.courierId, courier);
+            await archiveRecords([eventArchiveRecord('offline', socket.courierId, courier.branchId, reason)]);
+
+            // TTL azalt (hemen silme, yeniden bağlanabilir)
+            await redis.expire(CONFIG.KEYS.COURIER + socket.courierId, 30);
+
+            socket.log.info('Kurye offline', { event: 'disconnect', reason });
+          }
+        } catch (error) {
+          socket.log.error('Handler hatası', { type: 'handler_error', event: 'disconnect', err: error });
+        }
+      }
+    }));
+
+    // Ping-pong
+    socket.on('ping', () => {
+      socket.emit('pong', {
+        serverTime: new Date().toISOString(),
+        instance: localMetrics.instanceId
+      });
+    });
+
+    // Handler'lar kaydedildikten sonra: Redis beklenirken gelen event ve disconnect kaçmaz
+    try {
+      await updateGlobalMetrics('totalConnections');
+    } catch (error) {
+      socket.log.error('Handler hatası', { type: 'handler_error', event: 'connection', err: error });
+    }
+  });
+
+  // ==================== CLEANUP JOB ====================
+
+  // Okuma ile silme arasında kurye yeniden bağlanmış olabilir; skor ve hash betik içinde
+  // yeniden kontrol edilir, sadece hâlâ eski ve hash'i düşmüş olanlar index'ten silinir.
+  // KEYS: ACTIVE_COURIERS, COURIER_BRANCH; ARGV: cutoff, kurye/şube/geo önekleri, id'ler
+  // Şube anahtarları betik içinde üretilir (Redis Cluster'da çalışmaz)
+  const CLEANUP_COURIERS_SCRIPT = `
+local cleaned = 0
+for i = 5, #ARGV do
+  local id = ARGV[i]
+  local score = redis.call('ZSCORE', KEYS[1], id)
+  if score and tonumber(score) <= tonumber(ARGV[1]) and redis.call('EXISTS', ARGV[2] .. id) == 0 then
+    local branchId = redis.call('HGET', KEYS[2], id)
+    if branchId then
+      redis.call('SREM', ARGV[3] .. branchId, id)
+      redis.call('ZREM', ARGV[4] .. branchId, id)
+    end
+    redis.call('ZREM', KEYS[1], id)
+    redis.call('HDEL', KEYS[2], id)
+    cleaned = cleaned + 1
+  end
+end
+return cleaned
+`;
+
+  // lastUpdate'i TTL'den eski olan kuryeler index ve şube set'lerinden düşürülür.
+  // Kilit sayesinde her periyotta tek instance çalışır.
+  async function cleanupStaleCouriers() {
+    const cutoff = Date.now() - CONFIG.TTL.COURIER * 1000;
+    let cleaned = 0;
+    let skipped = 0;
+
+    while (true) {
+      // Atlananlar (yeniden bağlananlar) başta kalır; sonraki sayfa onlardan sonra başlar
+      const courierIds = await redis.zRangeByScore(CONFIG.KEYS.ACTIVE_COURIERS, '-inf', cutoff, {
+        LIMIT: { offset: skipped, count: 500 }
+      });
+      if (courierIds.length === 0) break;
+
+      const removed = await redis.eval(CLEANUP_COURIERS_SCRIPT, {
+        keys: [CONFIG.KEYS.ACTIVE_COURIERS, CONFIG.KEYS.COURIER_BRANCH],
+        arguments: [String(cutoff), CONFIG.KEYS.COURIER, CONFIG.KEYS.BRANCH, CONFIG.KEYS.BRANCH_GEO, ...courierIds]
+      });
+
+      cleaned += removed;
+      skipped += courierIds.length - removed;
+    }
+
+    return cleaned;
+  }
+
+  // Eski sürümden kalan kuryeleri index'e al (KEYS yerine SCAN)
+  async function rebuildCourierIndex() {
+    if (await redis.zCard(CONFIG.KEYS.ACTIVE_COURIERS) > 0) return 0;
+    if (!(await acquireLock('index-rebuild', 60000))) return 0;
+
+    let indexed = 0;
+    for await (const key of redis.scanIterator({ MATCH: CONFIG.KEYS.COURIER + '*', TYPE: 'hash', COUNT: 500 })) {
+      const courierId = key.slice(CONFIG.KEYS.COURIER.length);
+      const [branchId, lastUpdate] = await redis.hmGet(key, ['branchId', 'lastUpdate']);
+      if (!branchId) continue;
+
+      await redis.multi()
+        .zAdd(CONFIG.KEYS.ACTIVE_COURIERS, { score: new Date(lastUpdate).getTime() || Date.now(), value: courierId })
+        .hSet(CONFIG.KEYS.COURIER_BRANCH, courierId, branchId)
+        .exec();
+      indexed++;
+    }
+    return indexed;
+  }
+
+  scheduleJob(async () => {
+    try {
+      // Kilit periyottan kısa: bir sonraki turda başka instance alabilir
+      if (!(await acquireLock('cleanup', CONFIG.CLEANUP_INTERVAL_MS - 1000))) return;
+
+      const cleaned = await cleanupStaleCouriers();
+      if (cleaned > 0) {
+        log.info('Temizlik yapıldı', { cleaned });
+      }
+    } catch (error) {
+      log.error('Temizlik başarısız', { type: 'job_error', job: 'cleanup', err: error });
+    }
+  }, () => CONFIG.CLEANUP_INTERVAL_MS);
+
+  // Bağlı kurye konum göndermese de kaydı TTL ile düşmez: her instance kendi
+  // socket'lerini COURIER_KEEPALIVE_MS aralığıyla yeniler. TTL ve temizlik yalnız
+  // bağlantısı kopmuş veya instance'ı çökmüş kuryeleri düşürür.
+  async function refreshLocalCouriers() {
+    const courierIds = [...io.of('/').sockets.values()].map(s => s.courierId).filter(Boolean);
+    if (courierIds.length === 0) return 0;
+
+    const now = Date.now();
+    const multi = redis.multi();
+    for (const courierId of courierIds) {
+      multi.expire(CONFIG.KEYS.COURIER + courierId, CONFIG.TTL.COURIER);
+      multi.zAdd(CONFIG.KEYS.ACTIVE_COURIERS, { score: now, value: String(courierId) }, { XX: true });
+    }
+    await multi.exec();
+    return courierIds.length;
+  }
+
+  // Bu instance'taki tüm socket'lerin IP bağlantı kiraları uzatılır
+  async function refreshConnectionLeases() {
+    const sockets = [...io.of('/').sockets.values()].filter(s => s.data.connectionKey);
+    if (sockets.length === 0) return 0;
+
+    const leaseMs = CONFIG.TTL.CONNECTIONS * 1000;
+    const expiresAt = Date.now() + leaseMs;
+    const multi = redis.multi();
+    for (const socket of sockets) {
+      multi.zAdd(socket.data.connectionKey, { score: expiresAt, value: socket.id });
+      multi.pExpire(socket.data.connectionKey, leaseMs);
+    }
+    await multi.exec();
+    return sockets.length;
+  }
+
+  scheduleJob(async () => {
+    pruneEtaTargets();
+    try {
+      if (!redis.isReady) return;
+      await refreshLocalCouriers();
+      await refreshConnectionLeases();
+    } catch (error) {
+      log.error('Kurye kayıtları yenilenemedi', { type: 'job_error', job: 'keepalive', err: error });
+    }
+  }, () => CONFIG.COURIER_KEEPALIVE_MS);
+
+  // ==================== GRACEFUL SHUTDOWN ====================
+
+  // Redis'e yazan / abonelik açan tüm socket handler'ları izlenir; drain() ve stop() bitmelerini bekler
+  function tracked(handler) {
+    return (...args) => {
+      const pending = handler(...args);
+      const done = () => inFlight.delete(pending);
+      inFlight.add(pending);
+      pending.then(done, done);
+      return pending;
+    };
+  }
+
+  // Yeni bağlantı alınmaz, /health "draining" döner; istemciler gecikmeyle başka
+  // instance'a geçer. Süre dolunca kalanlar koparılır, yarım yazmalar beklenir.
+  // Drain sırasında kopan kuryeler için şubeye offline gönderilmez.
+  async function drain() {
+    if (draining) return;
+    draining = true;
+
+    const sockets = io.of('/').sockets;
+    log.info('Drain başladı', { connections: sockets.size });
+
+    for (const socket of sockets.values()) {
+      socket.emit('server:reconnect', {
+        reason: 'shutdown',
+        delayMs: Math.floor(Math.random() * CONFIG.SHUTDOWN.RECONNECT_JITTER_MS)
+      });
+    }
+
+    const deadline = Date.now() + CONFIG.SHUTDOWN.DRAIN_TIMEOUT_MS;
+    while (sockets.size > 0 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    const remaining = sockets.size;
+    io.local.disconnectSockets(true);
+    await settleInFlight();
+
+    try {
+      await flushArchive();
+    } catch (error) {
+      log.error('Arşiv yazılamadı', { type: 'job_error', job: 'archive-flush', err: error });
+    }
+
+    log.info('Drain tamamlandı', { forcedDisconnects: remaining });
+  }
+
+  async function settleInFlight() {
+    while (inFlight.size > 0) {
+      await Promise.allSettled([...inFlight]);
+    }
+  }
+
+  // ==================== STARTUP ====================
+
+  // Dinlenen portu döndürür (port 0 verildiyse atanan port)
+  async function start() {
+    if (!CONFIG.AUTH_SECRET) {
+      throw new Error('AUTH_SECRET tanımlı değil');
+    }
+
+    // Redis bağlantıları
+    await Promise.all([
+      pubClient.connect(),
+      subClient.connect(),
+      channelClient.connect(),
+      redis.connect()
+    ]);
+
+    log.debug('Redis bağlantısı başarılı');
+
+    await channelClient.subscribe(CONFIG.KEYS.CONFIG_CHANNEL, onConfigMessage);
+    await reloadConfig();
+
+    // Socket.io Redis adapter
+    io.adapter(createAdapter(pubClient, subClient));
+    log.debug('Socket.io Redis adapter aktif');
+
+    if (CONFIG.ARCHIVE.SINK) {
+      archiveSink = createArchiveSink(CONFIG.ARCHIVE);
+      await archiveSink.init();
+      await pruneArchive();
+      log.info('Arşiv aktif', { sink: archiveSink.name });
+    }
+
+    const indexed = await rebuildCourierIndex();
+    if (indexed > 0) {
+      log.info("Aktif kurye index'i oluşturuldu", { indexed });
+    }
+
+    for (const job of jobs) {
+      timers.push(setInterval(job.run, job.intervalMs()));
+    }
 
     // Sunucuyu başlat
-    const PORT = process.env.PORT || 3000;
-    server.listen(PORT, () => {
-      console.log('');
-      console.log('╔══════════════════════════════════════════════════╗');
-      console.log('║  YemiGO Courier Socket Server v3.0.0             ║');
-      console.log('║  Redis Cluster Edition - 10K+ Capacity           ║');
-      console.log('╠══════════════════════════════════════════════════╣');
-      console.log(`║  Instance: ${localMetrics.instanceId}                            ║`);
-      console.log(`║  Port: ${PORT}                                        ║`);
-      console.log('║  Redis: Connected                                ║');
-      console.log('║  Status: Production Ready                        ║');
-      console.log('╚══════════════════════════════════════════════════╝');
-      console.log('');
-      console.log('📡 WebSocket ready - Multi-instance support enabled');
-      console.log('🔒 Rate limiting: ENABLED');
-      console.log('🧹 Auto cleanup: ENABLED');
-      console.log('📊 Capacity: 10,000+ concurrent couriers');
-      console.log('');
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, resolve);
     });
+    const PORT = server.address().port;
+
+    log.info('Sunucu hazır', { port: PORT, version: '3.0.0' });
+
+    return PORT;
+  }
+
+  // İkinci çağrı ilk kapanışı bekler; istemciler iki kez kapatılmaz
+  let stopping = null;
+
+  function stop() {
+    if (!stopping) stopping = shutdown();
+    return stopping;
+  }
+
+  async function shutdown() {
+    timers.forEach(clearInterval);
+    timers.length = 0;
+    await io.close();
+    // Kopan socket'lerin handler'ları Redis kapanmadan bitmeli
+    await settleInFlight();
+    if (archiveSink) {
+      await archiveSink.close();
+    }
+    await pubClient.quit();
+    await subClient.quit();
+    await channelClient.quit();
+    await redis.quit();
+  }
+
+  return {
+    app,
+    server,
+    io,
+    redis,
+    config: CONFIG,
+    log,
+    instanceId: localMetrics.instanceId,
+    start,
+    stop,
+    drain,
+    broadcastConfigReload,
+    checkRateLimit,
+    cleanupStaleCouriers,
+    evaluateAlerts,
+    flushArchive
+  };
+}
 
+module.exports = { createServer, CONFIG };
+
+if (require.main === module) {
+  let instance;
+  try {
+    instance = createServer();
   } catch (error) {
-    console.error('❌ Başlatma hatası:', error);
+    logger.error('Config hatası', { type: 'config_error', errors: error.errors || [error.message] });
     process.exit(1);
   }
-}
+  // Instance logger'ı instanceId taşır ve config'teki seviye/formatı izler
+  const log = instance.log;
+
+  instance.start().catch((error) => {
+    log.error('Sunucu başlatılamadı', { type: 'startup_error', err: error });
+    process.exit(1);
+  });
 
-// Graceful shutdown
-process.on('SIGTERM', async () => {
-  console.log('🛑 SIGTERM alındı, kapatılıyor...');
+  process.on('SIGHUP', async () => {
+    log.info('SIGHUP alındı, config yenileniyor');
+    try {
+      await instance.broadcastConfigReload('SIGHUP');
+    } catch (error) {
+      log.error('Config yenilenemedi', { type: 'config_error', reason: 'SIGHUP', err: error });
+    }
+  });
 
-  io.close();
-  await pubClient.quit();
-  await subClient.quit();
-  await redis.quit();
+  // Graceful shutdown: bağlantılar boşaltılır, sonra kapanır; ikinci sinyal beklemeden çıkar
+  let shuttingDown = false;
+  const shutdown = async (signal) => {
+    if (shuttingDown) {
+      log.warn(`${signal} tekrar alındı, beklemeden çıkılıyor`);
+      process.exit(1);
+    }
+    shuttingDown = true;
+    log.info(`${signal} alındı, kapatılıyor`);
 
-  process.exit(0);
-});
+    try {
+      await instance.drain();
+      await instance.stop();
+      process.exit(0);
+    } catch (error) {
+      log.error('Kapanış başarısız', { type: 'shutdown_error', err: error });
+      process.exit(1);
+    }
+  };
 
-startServer();
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+}
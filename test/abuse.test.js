@@ -0,0 +1,199 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Testler x-forwarded-for ile farklı istemci adresleri taklit eder
+process.env.TRUST_PROXY = 'loopback';
+
+const {
+  CONFIG,
+  startInstance,
+  signToken,
+  connectClient,
+  nextEvent,
+  connectCourier,
+  wait
+} = require('./support/harness');
+
+let ctx;
+
+before(async () => {
+  ctx = await startInstance();
+});
+
+after(async () => {
+  await ctx.instance.stop();
+  await ctx.redisServer.stop();
+});
+
+function request(path, claims, options = {}) {
+  return fetch(ctx.url + path, {
+    ...options,
+    headers: {
+      ...(claims ? { authorization: `Bearer ${signToken(claims)}` } : {}),
+      ...options.headers
+    }
+  });
+}
+
+// Testler aynı IP'den bağlanır; instance'ın limitlerini geçici olarak değiştirip geri alır
+function withConfig(path, value) {
+  const config = ctx.instance.config;
+  const [section, key] = path.split('.');
+  const previous = config[section][key];
+  config[section][key] = value;
+  return () => { config[section][key] = previous; };
+}
+
+test('flooding an event returns rate_limited instead of handling it', async () => {
+  const socket = connectClient(ctx.url, { role: 'pos', branchIds: ['b1'] });
+  await nextEvent(socket, 'connect');
+
+  const capacity = CONFIG.ABUSE.EVENTS.ping.capacity * CONFIG.ABUSE.ROLE_MULTIPLIERS.pos;
+  for (let i = 0; i < capacity + 2; i++) socket.emit('ping');
+
+  const limited = await nextEvent(socket, 'rate_limited');
+  assert.equal(limited.event, 'ping');
+  assert.equal(limited.banned, false);
+  assert.ok(limited.retryAfterMs > 0);
+
+  await wait(50);
+  assert.equal(socket.received.filter(entry => entry.event === 'pong').length, capacity);
+  socket.close();
+});
+
+test('courier location rate limit is reported to the client', async () => {
+  const courier = await connectCourier(ctx.url, 'abuse-1');
+  await ctx.instance.redis.set(CONFIG.KEYS.RATE_LIMIT + 'abuse-1', String(CONFIG.MAX_LOCATIONS_PER_MINUTE), { EX: 60 });
+
+  courier.emit('courier:location', { courierId: 'abuse-1', latitude: 41, longitude: 29 });
+  const limited = await nextEvent(courier, 'rate_limited');
+  assert.equal(limited.event, 'courier:location');
+  assert.ok(limited.retryAfterMs > 0 && limited.retryAfterMs <= 60000);
+  courier.close();
+});
+
+test('REST routes are limited per IP and role with Retry-After', async () => {
+  const restore = withConfig('ABUSE.HTTP', { capacity: 2, refillPerSec: 0.01 });
+  try {
+    const claims = { role: 'panel', branchIds: '*' };
+    const multiplier = CONFIG.ABUSE.ROLE_MULTIPLIERS.panel;
+    for (let i = 0; i < 2 * multiplier; i++) {
+      assert.equal((await request('/couriers', claims)).status, 200);
+    }
+
+    const res = await request('/couriers', claims);
+    assert.equal(res.status, 429);
+    assert.ok(Number(res.headers.get('retry-after')) > 0);
+    assert.equal((await res.json()).banned, false);
+
+    // Health check limit dışı
+    assert.equal((await request('/health')).status, 200);
+  } finally {
+    restore();
+  }
+});
+
+test('repeat offenders are banned until an admin lifts the ban', async () => {
+  const restoreThreshold = withConfig('ABUSE.BAN_THRESHOLD', 3);
+  const admin = { role: 'admin', branchIds: '*' };
+  // Yönetici başka bir adresten (proxy arkası) gelir
+  const fromOffice = { headers: { 'x-forwarded-for': '10.0.0.9' } };
+  try {
+    const socket = connectClient(ctx.url, { role: 'pos', branchIds: ['b1'] });
+    await nextEvent(socket, 'connect');
+    const disconnected = nextEvent(socket, 'disconnect');
+
+    for (let i = 0; i < 20; i++) socket.emit('ping');
+    await disconnected;
+    const banned = socket.received.find(entry => entry.event === 'rate_limited' && entry.payload.banned);
+    assert.ok(banned, 'banned rate_limited event');
+
+    const again = connectClient(ctx.url, { role: 'pos', branchIds: ['b1'] });
+    const error = await nextEvent(again, 'connect_error');
+    assert.equal(error.message, 'Banned');
+    again.close();
+
+    const bans = await (await request('/admin/bans', admin, fromOffice)).json();
+    assert.equal(bans.length, 1);
+    assert.equal(bans[0].reason, 'ping');
+    assert.match(bans[0].subject, /^ip:/);
+
+    // Banlı IP REST'e de erişemez
+    const blocked = await request('/couriers', admin);
+    assert.equal(blocked.status, 429);
+    assert.equal((await blocked.json()).banned, true);
+
+    const res = await request(`/admin/bans/${encodeURIComponent(bans[0].subject)}`, admin, { method: 'DELETE', ...fromOffice });
+    assert.equal(res.status, 204);
+
+    const afterUnban = connectClient(ctx.url, { role: 'pos', branchIds: ['b1'] });
+    await nextEvent(afterUnban, 'connect');
+    afterUnban.close();
+  } finally {
+    restoreThreshold();
+  }
+});
+
+test('the per-IP connection cap holds under concurrent connects and frees slots on disconnect', async () => {
+  const previous = ctx.instance.config.MAX_CONNECTIONS_PER_IP;
+  ctx.instance.config.MAX_CONNECTIONS_PER_IP = 2;
+  const options = { headers: { 'x-forwarded-for': '198.51.100.5' } };
+  const outcome = socket => new Promise(resolve => {
+    socket.once('connect', () => resolve('connected'));
+    socket.once('connect_error', error => resolve(error.message));
+  });
+  try {
+    const sockets = Array.from({ length: 3 }, () => connectClient(ctx.url, { role: 'pos', branchIds: ['b1'] }, options));
+    const results = await Promise.all(sockets.map(outcome));
+    assert.deepEqual(results.sort(), ['Too many connections', 'connected', 'connected']);
+    assert.equal(await ctx.instance.redis.zCard(CONFIG.KEYS.CONNECTIONS + '198.51.100.5'), 2);
+
+    sockets.forEach(socket => socket.close());
+    await wait(100);
+    assert.equal(await ctx.instance.redis.zCard(CONFIG.KEYS.CONNECTIONS + '198.51.100.5'), 0);
+
+    const again = connectClient(ctx.url, { role: 'pos', branchIds: ['b1'] }, options);
+    assert.equal(await outcome(again), 'connected');
+    again.close();
+  } finally {
+    ctx.instance.config.MAX_CONNECTIONS_PER_IP = previous;
+  }
+});
+
+test('couriers behind one IP are limited and banned by identity, not by address', async () => {
+  const restoreThreshold = withConfig('ABUSE.BAN_THRESHOLD', 3);
+  try {
+    const noisy = await connectCourier(ctx.url, 'nat-1');
+    const quiet = await connectCourier(ctx.url, 'nat-2');
+    const disconnected = nextEvent(noisy, 'disconnect');
+
+    for (let i = 0; i < 20; i++) noisy.emit('ping');
+    await disconnected;
+
+    quiet.emit('ping');
+    await nextEvent(quiet, 'pong');
+    assert.equal(quiet.connected, true);
+
+    const again = connectClient(ctx.url, { role: 'courier', courierId: 'nat-1', branchIds: ['b1'] });
+    assert.equal((await nextEvent(again, 'connect_error')).message, 'Banned');
+    again.close();
+    // Reddedilen handshake bağlantı kirası almaz; IP'de yalnız quiet sayılır
+    const [leaseKey] = await ctx.instance.redis.keys(CONFIG.KEYS.CONNECTIONS + '*');
+    assert.deepEqual(await ctx.instance.redis.zRange(leaseKey, 0, -1), [quiet.id]);
+    quiet.close();
+    await ctx.instance.redis.del(CONFIG.KEYS.BANS + 'courier:nat-1');
+  } finally {
+    restoreThreshold();
+  }
+});
+
+test('courier:location is governed only by MAX_LOCATIONS_PER_MINUTE', async () => {
+  const courier = await connectCourier(ctx.url, 'loc-burst-1');
+  const count = Math.min(ctx.instance.config.MAX_LOCATIONS_PER_MINUTE, 20);
+  for (let i = 0; i < count; i++) {
+    courier.emit('courier:location', { courierId: 'loc-burst-1', latitude: 41 + i * 0.0001, longitude: 29 });
+  }
+  await wait(200);
+  assert.equal(courier.received.some(entry => entry.event === 'rate_limited'), false);
+  courier.close();
+});
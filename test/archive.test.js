@@ -0,0 +1,106 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const zlib = require('node:zlib');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Sink start() sırasında CONFIG.ARCHIVE'dan kurulur; dizin test başına geçici
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'courier-archive-'));
+process.env.ARCHIVE_SINK = 'ndjson';
+process.env.ARCHIVE_DIR = dir;
+
+const {
+  CONFIG,
+  startRedis,
+  startInstance,
+  connectCourier,
+  wait
+} = require('./support/harness');
+
+let hasSqlite = true;
+try {
+  require.resolve('better-sqlite3');
+} catch {
+  hasSqlite = false;
+}
+
+let redisServer;
+
+before(async () => {
+  redisServer = await startRedis();
+});
+
+after(async () => {
+  await redisServer.stop();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function readNdjson() {
+  return fs.readdirSync(dir)
+    .filter(name => name.endsWith('.ndjson.gz'))
+    .flatMap(name => zlib.gunzipSync(fs.readFileSync(path.join(dir, name))).toString().trim().split('\n'))
+    .map(line => JSON.parse(line));
+}
+
+test('ndjson sink writes buffered records and releases the lock', async () => {
+  const { instance, url } = await startInstance(redisServer);
+  try {
+    const courier = await connectCourier(url, 'arc-1', 'arc-b1');
+    courier.emit('courier:location', { courierId: 'arc-1', latitude: 41, longitude: 29, timestamp: Date.now() });
+    await wait(100);
+    courier.close();
+    await wait(100);
+
+    assert.ok(await instance.flushArchive() >= 3);
+    assert.equal(await instance.redis.lLen(CONFIG.KEYS.ARCHIVE_BUFFER), 0);
+    assert.equal(await instance.redis.exists(CONFIG.KEYS.LOCK + 'archive'), 0);
+
+    const records = readNdjson().filter(r => r.courierId === 'arc-1');
+    assert.deepEqual(records.map(r => r.type), ['online', 'location', 'offline']);
+    assert.equal(records[1].latitude, 41);
+  } finally {
+    await instance.stop();
+  }
+});
+
+test('flush skips while another instance holds the lock and leaves its lock alone', async () => {
+  const { instance } = await startInstance(redisServer);
+  try {
+    await instance.redis.set(CONFIG.KEYS.LOCK + 'archive', 'other-instance', { PX: 60000 });
+    await instance.redis.rPush(CONFIG.KEYS.ARCHIVE_BUFFER, JSON.stringify({ type: 'online', courierId: 'arc-2', timestamp: Date.now() }));
+
+    assert.equal(await instance.flushArchive(), 0);
+    assert.equal(await instance.redis.get(CONFIG.KEYS.LOCK + 'archive'), 'other-instance');
+    assert.equal(await instance.redis.lLen(CONFIG.KEYS.ARCHIVE_BUFFER), 1);
+
+    await instance.redis.del(CONFIG.KEYS.LOCK + 'archive');
+    assert.equal(await instance.flushArchive(), 1);
+  } finally {
+    await instance.stop();
+  }
+});
+
+test('sqlite sink writes buffered records', { skip: !hasSqlite && 'better-sqlite3 is not installed' }, async () => {
+  const { instance, url } = await startInstance(redisServer, config => {
+    config.ARCHIVE.SINK = 'sqlite';
+    config.ARCHIVE.SQLITE_PATH = path.join(dir, 'archive.db');
+  });
+  try {
+    const courier = await connectCourier(url, 'arc-3', 'arc-b1');
+    courier.emit('courier:location', { courierId: 'arc-3', latitude: 41, longitude: 29, timestamp: Date.now() });
+    await wait(100);
+    courier.close();
+    await wait(100);
+    await instance.flushArchive();
+  } finally {
+    await instance.stop();
+  }
+
+  const Database = require('better-sqlite3');
+  const db = new Database(path.join(dir, 'archive.db'), { readonly: true });
+  const rows = db.prepare('SELECT type, latitude FROM courier_archive WHERE courier_id = ? ORDER BY rowid').all('arc-3');
+  db.close();
+  assert.deepEqual(rows.map(r => r.type), ['online', 'location', 'offline']);
+  assert.equal(rows[1].latitude, 41);
+});
@@ -0,0 +1,66 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  CONFIG,
+  startRedis,
+  startInstance,
+  nextEvent,
+  connectCourier,
+  connectPos
+} = require('./support/harness');
+
+// İki instance aynı Redis'i ve Socket.io adapter'ını paylaşır
+let a;
+let b;
+
+before(async () => {
+  const redisServer = await startRedis();
+  a = await startInstance(redisServer);
+  b = await startInstance(redisServer);
+});
+
+after(async () => {
+  await a.instance.stop();
+  await b.instance.stop();
+  await a.redisServer.stop();
+});
+
+test('location updates reach POS clients on another instance', async () => {
+  const pos = await connectPos(a.url, 'cluster-b1');
+  const courier = await connectCourier(b.url, 'cluster-1', 'cluster-b1');
+
+  const online = await nextEvent(pos, 'courier:online');
+  assert.equal(online.courierId, 'cluster-1');
+
+  courier.emit('courier:location', { courierId: 'cluster-1', latitude: 41, longitude: 29, speed: 4 });
+  const update = await nextEvent(pos, 'courier:location:update');
+  assert.equal(update.courierId, 'cluster-1');
+  assert.equal(update.latitude, 41);
+
+  pos.close();
+  courier.close();
+});
+
+test('takeover on another instance kicks the original socket', async () => {
+  const first = await connectCourier(a.url, 'cluster-2', 'cluster-b1');
+  const second = await connectCourier(b.url, 'cluster-2', 'cluster-b1');
+
+  const kicked = await nextEvent(first, 'courier:kicked');
+  assert.equal(kicked.reason, 'New connection');
+
+  const socketId = await a.instance.redis.hGet(CONFIG.KEYS.COURIER + 'cluster-2', 'socketId');
+  assert.equal(socketId, second.id);
+  assert.notEqual(a.instance.instanceId, b.instance.instanceId);
+
+  first.close();
+  second.close();
+});
+
+test('each instance sees sockets of the other through the adapter', async () => {
+  const courier = await connectCourier(b.url, 'cluster-3', 'cluster-b1');
+
+  const sockets = await a.instance.io.in('branch:cluster-b1').fetchSockets();
+  assert.ok(sockets.some(socket => socket.id === courier.id));
+
+  courier.close();
+});
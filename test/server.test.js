@@ -0,0 +1,486 @@
+const http = require('node:http');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  CONFIG,
+  createServer,
+  startInstance,
+  signToken,
+  connectClient,
+  nextEvent,
+  connectCourier,
+  connectPos,
+  wait
+} = require('./support/harness');
+
+let ctx;
+
+before(async () => {
+  ctx = await startInstance();
+});
+
+after(async () => {
+  await ctx.instance.stop();
+  await ctx.redisServer.stop();
+});
+
+function batchLocations(count) {
+  const start = Date.now() - count * 1000;
+  return Array.from({ length: count }, (_, i) => ({
+    latitude: 41 + i * 0.00001,
+    longitude: 29,
+    speed: 3,
+    timestamp: start + i * 1000
+  }));
+}
+
+test('courier:connect takeover kicks the previous socket', async () => {
+  const first = await connectCourier(ctx.url, 'takeover-1');
+  const second = await connectCourier(ctx.url, 'takeover-1');
+
+  const kicked = await nextEvent(first, 'courier:kicked');
+  assert.equal(kicked.reason, 'New connection');
+
+  const socketId = await ctx.instance.redis.hGet(CONFIG.KEYS.COURIER + 'takeover-1', 'socketId');
+  assert.equal(socketId, second.id);
+
+  first.close();
+  second.close();
+});
+
+test('checkRateLimit allows MAX_LOCATIONS_PER_MINUTE calls per window', async () => {
+  const { instance } = ctx;
+  for (let i = 0; i < CONFIG.MAX_LOCATIONS_PER_MINUTE; i++) {
+    assert.equal(await instance.checkRateLimit('rate-1', 'b1'), true);
+  }
+  assert.equal(await instance.checkRateLimit('rate-1', 'b1'), false);
+
+  // Sayaç ilk istekte pencere süresiyle expire edilir
+  const ttl = await instance.redis.ttl(CONFIG.KEYS.RATE_LIMIT + 'rate-1');
+  assert.ok(ttl > 0 && ttl <= CONFIG.TTL.RATE_LIMIT);
+
+  // Başka kuryenin sayacı ayrıdır
+  assert.equal(await instance.checkRateLimit('rate-2', 'b1'), true);
+});
+
+test('courier:location:batch is truncated at MAX_BATCH_SIZE', async () => {
+  const courier = await connectCourier(ctx.url, 'batch-1');
+  const locations = batchLocations(CONFIG.MAX_BATCH_SIZE + 5);
+
+  courier.emit('courier:location:batch', { courierId: 'batch-1', locations });
+  const ack = await nextEvent(courier, 'courier:batch:ack');
+
+  assert.equal(ack.received, CONFIG.MAX_BATCH_SIZE);
+  assert.equal(ack.accepted + ack.rejected.length, CONFIG.MAX_BATCH_SIZE);
+  courier.close();
+});
+
+test('disconnect shortens the courier TTL and notifies the branch', async () => {
+  const pos = await connectPos(ctx.url);
+  const courier = await connectCourier(ctx.url, 'ttl-1');
+  const key = CONFIG.KEYS.COURIER + 'ttl-1';
+
+  assert.ok(await ctx.instance.redis.ttl(key) > 30);
+
+  courier.close();
+  const offline = await nextEvent(pos, 'courier:offline');
+  assert.equal(offline.courierId, 'ttl-1');
+
+  await wait(20);
+  const ttl = await ctx.instance.redis.ttl(key);
+  assert.ok(ttl > 0 && ttl <= 30, `ttl ${ttl}`);
+
+  pos.close();
+});
+
+test('cleanupStaleCouriers drops expired couriers from the index and branch sets', async () => {
+  const { redis } = ctx.instance;
+  const courier = await connectCourier(ctx.url, 'fresh-1');
+
+  // Hash'i çoktan silinmiş, index'te kalmış kurye
+  const staleAt = Date.now() - (CONFIG.TTL.COURIER + 10) * 1000;
+  await redis.zAdd(CONFIG.KEYS.ACTIVE_COURIERS, { score: staleAt, value: 'stale-1' });
+  await redis.hSet(CONFIG.KEYS.COURIER_BRANCH, 'stale-1', 'b1');
+  await redis.sAdd(CONFIG.KEYS.BRANCH + 'b1', 'stale-1');
+
+  // Skor eski ama hash'i duruyor: okuma ile silme arasında yeniden bağlanmış gibi
+  await redis.zAdd(CONFIG.KEYS.ACTIVE_COURIERS, { score: staleAt, value: 'revived-1' });
+  await redis.hSet(CONFIG.KEYS.COURIER + 'revived-1', 'branchId', 'b1');
+
+  assert.equal(await ctx.instance.cleanupStaleCouriers(), 1);
+  assert.notEqual(await redis.zScore(CONFIG.KEYS.ACTIVE_COURIERS, 'revived-1'), null);
+  await redis.del(CONFIG.KEYS.COURIER + 'revived-1');
+  await redis.zRem(CONFIG.KEYS.ACTIVE_COURIERS, 'revived-1');
+
+  assert.equal(await redis.zScore(CONFIG.KEYS.ACTIVE_COURIERS, 'stale-1'), null);
+  assert.equal(await redis.hGet(CONFIG.KEYS.COURIER_BRANCH, 'stale-1'), null);
+  assert.equal(await redis.sIsMember(CONFIG.KEYS.BRANCH + 'b1', 'stale-1'), false);
+
+  // Güncel kurye dokunulmaz
+  assert.notEqual(await redis.zScore(CONFIG.KEYS.ACTIVE_COURIERS, 'fresh-1'), null);
+  assert.equal(await redis.sIsMember(CONFIG.KEYS.BRANCH + 'b1', 'fresh-1'), true);
+
+  courier.close();
+});
+
+test('instances in one process keep separate configs and config errors throw', async () => {
+  const other = await startInstance(ctx.redisServer);
+  try {
+    other.instance.config.MAX_BATCH_SIZE = 7;
+    assert.equal(other.instance.config.MAX_BATCH_SIZE, 7);
+    assert.equal(ctx.instance.config.MAX_BATCH_SIZE, CONFIG.MAX_BATCH_SIZE);
+  } finally {
+    await other.instance.stop();
+  }
+
+  process.env.MAX_BATCH_SIZE = 'many';
+  try {
+    assert.throws(() => createServer({ port: 0 }), /MAX_BATCH_SIZE must be an integer/);
+  } finally {
+    delete process.env.MAX_BATCH_SIZE;
+  }
+});
+
+test('env settings go through the schema: 0 is kept and unknown names are rejected', () => {
+  const env = { TRACKING_DELAY_MS: '0', ARCHIVE_SINK: 'csv', LOCATION_FILTERS: 'accuracy,teleport', STATS_TIMEZONE: 'Mars/Base' };
+  Object.assign(process.env, env);
+  try {
+    assert.throws(() => createServer({ port: 0 }), error => {
+      assert.equal(error.errors.length, 3);
+      assert.match(error.errors.join('\n'), /ARCHIVE\.SINK must be one of ndjson, sqlite/);
+      assert.match(error.errors.join('\n'), /LOCATION_FILTER\.PIPELINE .*teleport/);
+      assert.match(error.errors.join('\n'), /STATS\.TIMEZONE Mars\/Base/);
+      return true;
+    });
+
+    delete process.env.ARCHIVE_SINK;
+    delete process.env.STATS_TIMEZONE;
+    process.env.LOCATION_FILTERS = 'smoothing';
+    const { config } = createServer({ port: 0 });
+    assert.equal(config.TRACKING.DELAY_MS, 0);
+    assert.deepEqual(config.LOCATION_FILTER.PIPELINE, ['smoothing']);
+    assert.equal(config.ARCHIVE.SINK, null);
+  } finally {
+    for (const name of Object.keys(env)) delete process.env[name];
+  }
+});
+
+test('createServer() alone starts no periodic jobs', () => {
+  // Timer kalsaydı süreç kendiliğinden bitmezdi
+  const result = spawnSync(process.execPath, ['-e', "require('./server').createServer({ port: 0 })"], {
+    cwd: path.join(__dirname, '..'),
+    timeout: 10000
+  });
+  assert.equal(result.signal, null);
+  assert.equal(result.status, 0);
+});
+
+test('REST responses carry the incoming or a generated X-Request-Id', async () => {
+  const echoed = await fetch(ctx.url + '/health', { headers: { 'x-request-id': 'req-123' } });
+  assert.equal(echoed.headers.get('x-request-id'), 'req-123');
+
+  const generated = await fetch(ctx.url + '/health');
+  assert.match(generated.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+});
+
+test('x-forwarded-for is ignored without a trusted proxy', async () => {
+  // Başlık okunsaydı bu ban bağlantıyı reddederdi
+  await ctx.instance.redis.set(CONFIG.KEYS.BANS + 'ip:203.0.113.7', '{}', { EX: 60 });
+  try {
+    const socket = connectClient(ctx.url, { role: 'pos', branchIds: ['b1'] }, { headers: { 'x-forwarded-for': '203.0.113.7' } });
+    await nextEvent(socket, 'connect');
+
+    const res = await fetch(ctx.url + '/admin/sockets?role=pos', {
+      headers: { authorization: `Bearer ${signToken({ role: 'admin' })}` }
+    });
+    const described = (await res.json()).find(s => s.socketId === socket.id);
+    assert.ok(described, 'socket is listed');
+    assert.match(described.ip, /^(::ffff:)?127\.0\.0\.1$|^::1$/);
+    socket.close();
+  } finally {
+    await ctx.instance.redis.del(CONFIG.KEYS.BANS + 'ip:203.0.113.7');
+  }
+});
+
+test('tokens without exp are rejected for every role', async () => {
+  for (const claims of [{ role: 'admin' }, { role: 'pos', branchIds: ['b1'] }, { role: 'courier', courierId: 'c1', branchIds: ['b1'] }]) {
+    const socket = connectClient(ctx.url, { ...claims, exp: undefined });
+    assert.equal((await nextEvent(socket, 'connect_error')).message, 'Unauthorized');
+    socket.close();
+  }
+});
+
+test('history returns the newest points and flags truncation; future points are clamped', async () => {
+  const courier = await connectCourier(ctx.url, 'trail-1');
+  const future = Date.now() + 60000;
+  courier.emit('courier:location', { courierId: 'trail-1', latitude: 41, longitude: 29, timestamp: future });
+  await wait(100);
+
+  const key = CONFIG.KEYS.TRAIL + 'trail-1';
+  const [stored] = await ctx.instance.redis.zRangeWithScores(key, 0, -1);
+  assert.ok(stored.score <= Date.now());
+
+  const start = Date.now() - 10000;
+  for (let i = 0; i < 4; i++) {
+    const point = { latitude: 41, longitude: 29, timestamp: start + i * 1000, branchId: 'b1' };
+    await ctx.instance.redis.zAdd(key, { score: point.timestamp, value: JSON.stringify(point) });
+  }
+
+  const previous = ctx.instance.config.MAX_HISTORY_POINTS;
+  ctx.instance.config.MAX_HISTORY_POINTS = 3;
+  try {
+    const res = await fetch(ctx.url + '/couriers/trail-1/history', {
+      headers: { authorization: `Bearer ${signToken({ role: 'admin' })}` }
+    });
+    const body = await res.json();
+    assert.equal(body.truncated, true);
+    assert.deepEqual(body.points.map(p => p.timestamp), [start + 2000, start + 3000, stored.score]);
+  } finally {
+    ctx.instance.config.MAX_HISTORY_POINTS = previous;
+  }
+  courier.close();
+});
+
+test('moving a courier to another branch exits the fences of the old branch', async () => {
+  const admin = { authorization: `Bearer ${signToken({ role: 'admin' })}`, 'content-type': 'application/json' };
+  await fetch(ctx.url + '/branch/geo-a/geofences', {
+    method: 'POST',
+    headers: admin,
+    body: JSON.stringify({ name: 'Mutfak', type: 'restaurant', shape: 'circle', center: { latitude: 41, longitude: 29 }, radius: 500 })
+  });
+
+  const pos = await connectPos(ctx.url, 'geo-a');
+  const courier = await connectCourier(ctx.url, 'geo-1', 'geo-a');
+  courier.emit('courier:location', { courierId: 'geo-1', latitude: 41, longitude: 29 });
+  assert.equal((await nextEvent(pos, 'courier:geofence:enter')).fenceName, 'Mutfak');
+
+  await fetch(ctx.url + '/admin/couriers/geo-1/move', { method: 'POST', headers: admin, body: JSON.stringify({ branchId: 'geo-b' }) });
+  const exit = await nextEvent(pos, 'courier:geofence:exit');
+  assert.equal(exit.branchId, 'geo-a');
+  assert.equal(await ctx.instance.redis.exists(CONFIG.KEYS.GEOFENCE_STATE + 'geo-a:geo-1'), 0);
+
+  courier.close();
+  pos.close();
+});
+
+test('moving a courier carries its active orders to the new branch', async () => {
+  const admin = { authorization: `Bearer ${signToken({ role: 'admin' })}`, 'content-type': 'application/json' };
+  const pos = await connectPos(ctx.url, 'mv-a');
+  const courier = await connectCourier(ctx.url, 'mv-1', 'mv-a');
+
+  pos.emit('order:assign', { orderId: 'mv-order-1', courierId: 'mv-1' });
+  await nextEvent(courier, 'order:assigned');
+
+  const res = await fetch(ctx.url + '/admin/couriers/mv-1/move', { method: 'POST', headers: admin, body: JSON.stringify({ branchId: 'mv-b' }) });
+  assert.deepEqual((await res.json()).orderIds, ['mv-order-1']);
+  assert.equal(await ctx.instance.redis.hGet(CONFIG.KEYS.ORDER + 'mv-order-1', 'branchId'), 'mv-b');
+  assert.equal(await ctx.instance.redis.hGet(CONFIG.KEYS.COURIER + 'mv-1', 'branchId'), 'mv-b');
+  assert.equal(await ctx.instance.redis.sIsMember(CONFIG.KEYS.BRANCH + 'mv-a', 'mv-1'), false);
+
+  courier.close();
+  pos.close();
+});
+
+test('admin disconnect sends the courier.offline webhook', async () => {
+  const admin = { authorization: `Bearer ${signToken({ role: 'admin' })}`, 'content-type': 'application/json' };
+  const received = [];
+  const receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push(JSON.parse(body));
+      res.end();
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, resolve));
+
+  await fetch(ctx.url + '/webhooks', {
+    method: 'POST',
+    headers: admin,
+    body: JSON.stringify({ url: `http://localhost:${receiver.address().port}/`, events: ['courier.offline'], branchIds: ['kick-b1'] })
+  });
+  const courier = await connectCourier(ctx.url, 'kick-1', 'kick-b1');
+
+  await fetch(ctx.url + '/admin/couriers/kick-1/disconnect', { method: 'POST', headers: admin, body: '{}' });
+  for (let i = 0; i < 60 && received.length === 0; i++) await wait(50);
+
+  assert.equal(received.length, 1);
+  assert.equal(received[0].type, 'courier.offline');
+  assert.equal(received[0].data.courierId, 'kick-1');
+  assert.equal(received[0].data.reason, 'admin disconnect');
+
+  courier.close();
+  receiver.close();
+});
+
+test('ETA speed ignores samples closer than a second and history keeps point timestamps', async () => {
+  const courier = await connectCourier(ctx.url, 'eta-1');
+  const start = Date.now() - 5000;
+  const locations = Array.from({ length: 5 }, (_, i) => ({
+    latitude: 41 + i * 0.0001,
+    longitude: 29,
+    timestamp: start + i * 300
+  }));
+  courier.emit('courier:location:batch', { courierId: 'eta-1', locations });
+  await nextEvent(courier, 'courier:batch:ack');
+
+  const history = await ctx.instance.redis.lRange(CONFIG.KEYS.LOCATION_HISTORY + 'eta-1', 0, -1);
+  assert.deepEqual(history.map(v => JSON.parse(v).timestamp).reverse(), locations.map(l => l.timestamp));
+
+  const res = await fetch(ctx.url + '/couriers/eta-1/eta?lat=41.01&lng=29', {
+    headers: { authorization: `Bearer ${signToken({ role: 'admin' })}` }
+  });
+  assert.equal((await res.json()).speedMps, CONFIG.ETA.MIN_SPEED_MPS);
+  courier.close();
+});
+
+test('0% battery is kept instead of being treated as missing', async () => {
+  const pos = await connectPos(ctx.url, 'bat-b1');
+  const courier = await connectCourier(ctx.url, 'bat-1', 'bat-b1');
+
+  courier.emit('courier:location', { courierId: 'bat-1', latitude: 41, longitude: 29, batteryLevel: 0 });
+  assert.equal((await nextEvent(pos, 'courier:location:update')).batteryLevel, 0);
+
+  courier.emit('courier:location', { courierId: 'bat-1', latitude: 41, longitude: 29 });
+  assert.equal((await nextEvent(pos, 'courier:location:update')).batteryLevel, 0);
+
+  courier.close();
+  pos.close();
+});
+
+test('a 0% battery raises the low-battery alert', async () => {
+  const pos = await connectPos(ctx.url, 'bat-b2');
+  const courier = await connectCourier(ctx.url, 'bat-2', 'bat-b2');
+
+  courier.emit('courier:location', { courierId: 'bat-2', latitude: 41, longitude: 29, batteryLevel: 0 });
+  await nextEvent(pos, 'courier:location:update');
+  await ctx.instance.evaluateAlerts();
+
+  const alert = await nextEvent(pos, 'courier:alert');
+  assert.equal(alert.type, 'low_battery');
+  assert.equal(alert.state, 'active');
+  assert.equal(alert.value, 0);
+
+  courier.close();
+  pos.close();
+});
+
+test('online time accrues from session start to end without location points', async () => {
+  const day = new Intl.DateTimeFormat('en-CA', { timeZone: CONFIG.STATS.TIMEZONE }).format(new Date());
+  const key = `${CONFIG.KEYS.STATS}courier:online-1:${day}`;
+
+  const first = await connectCourier(ctx.url, 'online-1');
+  await wait(150);
+  // Devralma önceki oturumu kapatır; eski socket'in kopuşu tekrar saymaz
+  const second = await connectCourier(ctx.url, 'online-1');
+  first.close();
+  await wait(150);
+  const afterTakeover = Number(await ctx.instance.redis.hGet(key, 'onlineMs'));
+  assert.ok(afterTakeover >= 150 && afterTakeover < 300, `onlineMs ${afterTakeover}`);
+
+  second.close();
+  await wait(50);
+  assert.ok(Number(await ctx.instance.redis.hGet(key, 'onlineMs')) >= afterTakeover + 150);
+});
+
+test('stats lookups are authorized before a missing day returns 404', async () => {
+  const courier = await connectCourier(ctx.url, 'stats-1', 'stats-b1');
+  const get = branchIds => fetch(ctx.url + '/couriers/stats-1/stats?date=2000-01-01', {
+    headers: { authorization: `Bearer ${signToken({ role: 'panel', branchIds })}` }
+  });
+
+  assert.equal((await get(['other-b'])).status, 403);
+  assert.equal((await get(['stats-b1'])).status, 404);
+  courier.close();
+});
+
+test('/couriers counts only couriers that still exist', async () => {
+  const courier = await connectCourier(ctx.url, 'list-1', 'list-b1');
+  await ctx.instance.redis.sAdd(CONFIG.KEYS.BRANCH + 'list-b1', 'gone-1');
+
+  const res = await fetch(ctx.url + '/couriers', {
+    headers: { authorization: `Bearer ${signToken({ role: 'panel', branchIds: ['list-b1'] })}` }
+  });
+  assert.equal(res.headers.get('x-total-count'), '1');
+  assert.deepEqual((await res.json()).map(c => c.courierId), ['list-1']);
+  courier.close();
+});
+
+test('an invalid status filter is rejected instead of listing every courier', async () => {
+  const socket = connectClient(ctx.url, { role: 'pos', branchIds: ['b1'] });
+  await nextEvent(socket, 'connect');
+
+  socket.emit('pos:connect', { branchId: 'b1', status: 'sleeping' });
+  assert.match((await nextEvent(socket, 'error')).message, /^status must be one of/);
+  socket.emit('branch:subscribe', { branchId: 'b1', status: 'available,sleeping' });
+  assert.match((await nextEvent(socket, 'error')).message, /^status must be one of/);
+
+  await wait(50);
+  assert.equal(socket.received.some(entry => ['couriers:list', 'branch:couriers'].includes(entry.event)), false);
+  socket.close();
+});
+
+test('status changes write only the status field', async () => {
+  const courier = await connectCourier(ctx.url, 'status-1');
+  const key = CONFIG.KEYS.COURIER + 'status-1';
+  const lastUpdate = await ctx.instance.redis.hGet(key, 'lastUpdate');
+
+  await wait(10);
+  courier.emit('courier:status', { courierId: 'status-1', status: 'on_break' });
+  await wait(100);
+
+  assert.equal(await ctx.instance.redis.hGet(key, 'status'), 'on_break');
+  assert.equal(await ctx.instance.redis.hGet(key, 'lastUpdate'), lastUpdate);
+  courier.close();
+});
+
+test('outdated couriers are refused at handshake and get update_required before disconnect', async () => {
+  const admin = { authorization: `Bearer ${signToken({ role: 'admin' })}`, 'content-type': 'application/json' };
+  await fetch(ctx.url + '/app-versions/test-os', { method: 'PUT', headers: admin, body: JSON.stringify({ minimum: '2.0.0' }) });
+  const claims = { role: 'courier', courierId: 'ver-1', branchIds: ['ver-b1'] };
+
+  const refused = connectClient(ctx.url, claims, { auth: { appVersion: '1.0.0', platform: 'test-os' } });
+  const err = await nextEvent(refused, 'connect_error');
+  assert.equal(err.message, 'Update required');
+  assert.equal(err.data.minimumVersion, '2.0.0');
+  refused.close();
+
+  // Handshake'te sürüm bildirmeyen istemci courier:connect'te bildirimi alır, sonra koparılır
+  const legacy = connectClient(ctx.url, claims);
+  await nextEvent(legacy, 'connect');
+  const disconnected = nextEvent(legacy, 'disconnect', 3000);
+  legacy.emit('courier:connect', { courierId: 'ver-1', branchId: 'ver-b1', appVersion: '1.0.0', platform: 'test-os' });
+  assert.equal((await nextEvent(legacy, 'courier:update_required')).minimumVersion, '2.0.0');
+  assert.equal(await disconnected, 'io server disconnect');
+
+  await fetch(ctx.url + '/app-versions/test-os', { method: 'DELETE', headers: admin });
+});
+
+test('branch messages reach couriers that connect later until they confirm delivery', async () => {
+  const pos = await connectPos(ctx.url, 'msg-b1');
+  pos.emit('message:send', { branchId: 'msg-b1', text: 'Herkes merkeze' });
+  const sent = await nextEvent(pos, 'message:sent');
+  assert.equal(sent.recipients, 0);
+
+  const courier = await connectCourier(ctx.url, 'msg-1', 'msg-b1');
+  const message = await nextEvent(courier, 'message:new');
+  assert.equal(message.messageId, sent.messageId);
+
+  // Aynı anda gelen onaylar birbirini ezmez
+  courier.emit('message:read', { messageId: message.messageId });
+  courier.emit('message:delivered', { messageId: message.messageId });
+  await wait(100);
+  const receipts = pos.received.filter(entry => entry.event === 'message:receipt').map(entry => entry.payload);
+  assert.equal(receipts.length, 1);
+  assert.ok(receipts[0].deliveredAt && receipts[0].readAt);
+
+  courier.close();
+  const again = await connectCourier(ctx.url, 'msg-1', 'msg-b1');
+  await wait(50);
+  assert.equal(again.received.some(entry => entry.event === 'message:new'), false);
+
+  again.close();
+  pos.close();
+});
@@ -0,0 +1,84 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// start() config'i yeniden yükler; kısa süreler env katmanından gelir
+process.env.DRAIN_TIMEOUT_MS = '300';
+process.env.RECONNECT_JITTER_MS = '100';
+
+const {
+  CONFIG,
+  startRedis,
+  startInstance,
+  connectClient,
+  nextEvent,
+  connectCourier,
+  connectPos,
+  wait
+} = require('./support/harness');
+
+// a drain edilir; kurye b'ye geçer, POS b'de izler. c zaman aşımı testinde
+let a;
+let b;
+let c;
+
+before(async () => {
+  const redisServer = await startRedis();
+  a = await startInstance(redisServer);
+  b = await startInstance(redisServer);
+});
+
+// Test ortada başarısız olsa da tüm instance'lar kapanır; stop() tekrar çağrılabilir
+after(async () => {
+  for (const started of [a, b, c]) {
+    if (started) await started.instance.stop();
+  }
+  await b.redisServer.stop();
+});
+
+test('draining hands couriers off without offline events', async () => {
+  const pos = await connectPos(b.url, 'drain-b1');
+  const courier = await connectCourier(a.url, 'drain-1', 'drain-b1');
+  await nextEvent(pos, 'courier:online');
+
+  const draining = a.instance.drain();
+
+  const hint = await nextEvent(courier, 'server:reconnect');
+  assert.equal(hint.reason, 'shutdown');
+  assert.ok(hint.delayMs >= 0 && hint.delayMs < a.instance.config.SHUTDOWN.RECONNECT_JITTER_MS);
+
+  const health = await fetch(a.url + '/health');
+  assert.equal(health.status, 503);
+  assert.equal((await health.json()).status, 'draining');
+
+  const late = connectClient(a.url, { role: 'pos', branchIds: ['drain-b1'] });
+  assert.equal((await nextEvent(late, 'connect_error')).message, 'Draining');
+  late.close();
+
+  // İstemci ipucuna uyar, b'ye bağlanır
+  courier.close();
+  await draining;
+  await wait(50);
+  assert.equal(pos.received.some(entry => entry.event === 'courier:offline'), false);
+  assert.ok(await b.instance.redis.ttl(CONFIG.KEYS.COURIER + 'drain-1') > 30);
+
+  const moved = await connectCourier(b.url, 'drain-1', 'drain-b1');
+  const socketId = await b.instance.redis.hGet(CONFIG.KEYS.COURIER + 'drain-1', 'socketId');
+  assert.equal(socketId, moved.id);
+
+  moved.close();
+  pos.close();
+});
+
+test('sockets that ignore the hint are disconnected after the drain timeout', async () => {
+  c = await startInstance(b.redisServer);
+  const socket = connectClient(c.url, { role: 'pos', branchIds: ['drain-b1'] });
+  await nextEvent(socket, 'connect');
+  const disconnected = nextEvent(socket, 'disconnect');
+
+  const startedAt = Date.now();
+  await c.instance.drain();
+  assert.ok(Date.now() - startedAt >= c.instance.config.SHUTDOWN.DRAIN_TIMEOUT_MS);
+  assert.equal(await disconnected, 'io server disconnect');
+
+  socket.close();
+});
@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const { io: ioClient } = require('socket.io-client');
+const { createClient } = require('redis');
+const { RedisMemoryServer } = require('redis-memory-server');
+
+process.env.AUTH_SECRET = process.env.AUTH_SECRET || 'test-secret';
+
+// Sunucu logları test runner'ın stdout akışını bozmasın; LOG_LEVEL=debug ile açılır
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const { createServer, CONFIG } = require('../../server');
+
+// Her çağrı ayrı bir redis-server süreci başlatır; test dosyası bittiğinde stop() edilir
+async function startRedis() {
+  const redisServer = new RedisMemoryServer();
+  redisServer.url = `redis://${await redisServer.getHost()}:${await redisServer.getPort()}`;
+  return redisServer;
+}
+
+// Aynı Redis'e bağlanan instance'lar adapter'ı ve veriyi paylaşır.
+// configure: start()'tan önce instance'ın kendi config'ini değiştirir (şemadaki
+// anahtarlar start()'taki yenilemede katmanlardan yeniden okunur; env ile verilir)
+async function startInstance(redisServer, configure = null) {
+  redisServer = redisServer || await startRedis();
+  const instance = createServer({ redis: createClient({ url: redisServer.url }), port: 0 });
+  if (configure) configure(instance.config);
+  const port = await instance.start();
+  return { instance, redisServer, url: `http://localhost:${port}` };
+}
+
+function signToken(claims) {
+  const encode = obj => Buffer.from(JSON.stringify(obj)).toString('base64url');
+  const header = encode({ alg: 'HS256', typ: 'JWT' });
+  const payload = encode({ exp: Math.floor(Date.now() / 1000) + 3600, ...claims });
+  const signature = crypto
+    .createHmac('sha256', process.env.AUTH_SECRET)
+    .update(`${header}.${payload}`)
+    .digest('base64url');
+  return `${header}.${payload}.${signature}`;
+}
+
+// Gelen event'ler tamponlanır; nextEvent dinleyici bağlanmadan önce gelenleri de yakalar.
+// auth: token dışındaki handshake alanları (appVersion, platform), headers: örn. x-forwarded-for
+function connectClient(url, claims, { auth = {}, headers } = {}) {
+  const socket = ioClient(url, {
+    auth: claims ? { token: signToken(claims), ...auth } : auth,
+    extraHeaders: headers,
+    transports: ['websocket'],
+    forceNew: true,
+    reconnection: false
+  });
+  socket.received = [];
+  socket.onAny((event, payload) => socket.received.push({ event, payload }));
+  return socket;
+}
+
+function nextEvent(socket, event, timeoutMs = 2000) {
+  return new Promise((resolve, reject) => {
+    // Ayrılmış event'ler (connect, disconnect) onAny'ye düşmez
+    if (['connect', 'connect_error', 'disconnect'].includes(event)) {
+      const timer = setTimeout(() => reject(new Error(`Timeout: ${event}`)), timeoutMs);
+      socket.once(event, (payload) => {
+        clearTimeout(timer);
+        resolve(payload);
+      });
+      return;
+    }
+
+    const startedAt = Date.now();
+    (function poll() {
+      const index = socket.received.findIndex(entry => entry.event === event);
+      if (index >= 0) return resolve(socket.received.splice(index, 1)[0].payload);
+      if (Date.now() - startedAt > timeoutMs) return reject(new Error(`Timeout: ${event}`));
+      setTimeout(poll, 5);
+    })();
+  });
+}
+
+async function connectCourier(url, courierId, branchId = 'b1') {
+  const socket = connectClient(url, { role: 'courier', courierId, branchIds: [branchId] });
+  await nextEvent(socket, 'connect');
+  socket.emit('courier:connect', { courierId, branchId, name: courierId });
+  await nextEvent(socket, 'courier:connected');
+  return socket;
+}
+
+async function connectPos(url, branchId = 'b1') {
+  const socket = connectClient(url, { role: 'pos', branchIds: [branchId] });
+  await nextEvent(socket, 'connect');
+  socket.emit('pos:connect', { branchId, posName: 'Test POS' });
+  await nextEvent(socket, 'couriers:list');
+  return socket;
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  CONFIG,
+  createServer,
+  startRedis,
+  startInstance,
+  signToken,
+  connectClient,
+  nextEvent,
+  connectCourier,
+  connectPos,
+  wait
+};